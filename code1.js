@@ -41,16 +41,27 @@
  *    → check() loop runs every second looking for due reminders
  *    → when one's due, manager emits 'reminder:trigger'
  *    → ReminderBot catches that, sends discord message with ping
+ *    → snooze/done buttons on that message go back through ReminderManager.snooze()
  * 
  * the event-driven thing was annoying to set up but worth it. i can run
  * the manager in a test file with a fake listener and verify the timing
  * logic works without ever connecting to discord. saved me a ton of time.
  * 
  * TODO: Add support for more complex time patterns
- * TODO: Maybe add DM reminders?
  */
  
-const { Client, GatewayIntentBits, EmbedBuilder } = require('discord.js');
+const {
+    Client,
+    GatewayIntentBits,
+    Partials,
+    PermissionFlagsBits,
+    EmbedBuilder,
+    SlashCommandBuilder,
+    ActionRowBuilder,
+    ButtonBuilder,
+    ButtonStyle,
+    StringSelectMenuBuilder
+} = require('discord.js');
 const fs = require('fs').promises;
 const path = require('path');
 const { EventEmitter } = require('events');
@@ -65,8 +76,29 @@ const config = {
     checkInterval: 1000,
     // had to add this after someone set 500 reminders and the list command timed out
     maxRemindersPerUser: 25,
+    // how long after firing a one-time reminder can still be snoozed from its buttons
+    // a day felt right - nobody snoozes something they saw yesterday
+    snoozeWindow: 86400000,
+    // choices in the "snooze for..." dropdown. values go through parseDuration
+    snoozeOptions: [
+        { label: '5 minutes', value: '5m' },
+        { label: '15 minutes', value: '15m' },
+        { label: '30 minutes', value: '30m' },
+        { label: '2 hours', value: '2h' },
+        { label: '4 hours', value: '4h' },
+        { label: '1 day', value: '1d' }
+    ],
     enableDebug: true,
+    // the old !remind text commands. they need the privileged MessageContent intent,
+    // so turning this off lets the bot run on slash commands alone
+    enablePrefixCommands: true,
+    // global slash commands can take up to an hour to show up. set a guild id here
+    // while developing and they register in that server instantly
+    slashCommandGuildId: null,
     defaultTimezone: 'UTC',
+    // used when someone gives a date but no time, like "on march 3rd" or "next friday"
+    // 9am because a reminder at midnight is useless - nobody sees it
+    defaultTimeOfDay: { hour: 9, minute: 0 },
     embedColor: 0x5865F2  // discord blurple
 };
  
@@ -94,11 +126,14 @@ const log = {
 // "couldn't parse your time" from "you hit the reminder limit" from "reminder not found"
 // the code field lets handleCommand show different error messages for each case
 // timestamp is mostly for logging/debugging when something goes wrong
+// hint is optional - the parser fills it with the closest format it knows
+// so the error embed can suggest something instead of just saying "nope"
 class ReminderError extends Error {
-    constructor(message, code) {
+    constructor(message, code, hint = null) {
         super(message);
         this.name = 'ReminderError';
         this.code = code;
+        this.hint = hint;
         this.timestamp = new Date();
         Error.captureStackTrace(this, this.constructor);
     }
@@ -121,6 +156,21 @@ class ReminderError extends Error {
  * no side effects, no dependencies on the rest of the system.
  * makes it really easy to reason about.
  */
+// building blocks for the calendar patterns in TimeParser
+// month/weekday accept full names and the usual abbreviations ("sep", "sept", "thurs")
+const MONTH = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const WEEKDAY_NAME = '(?:sun(?:day)?|mon(?:day)?|tue(?:s(?:day)?)?|wed(?:nesday)?|thu(?:rs(?:day)?)?|fri(?:day)?|sat(?:urday)?)';
+const WEEKDAY = `(${WEEKDAY_NAME})`;
+// "mon, wed and fri" / "mondays and thursdays" - no capture group of its own,
+// the pattern using it captures the whole list as one string and splits it later
+const WEEKDAY_LIST = `${WEEKDAY_NAME}s?(?:(?:\\s*,\\s*(?:and\\s+)?|\\s+and\\s+)${WEEKDAY_NAME}s?)*`;
+const AT_TIME = '(?:\\s+at\\s+(\\d{1,2})(?::(\\d{2}))?\\s*(am|pm)?)?';
+
+// first three letters are enough to tell them all apart
+const MONTH_KEYS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const ORDINALS = { first: 1, '1st': 1, second: 2, '2nd': 2, third: 3, '3rd': 3, fourth: 4, '4th': 4, last: -1 };
+
 class TimeParser {
     constructor() {
         // these patterns took forever to get right. lots of trial and error
@@ -129,15 +179,17 @@ class TimeParser {
         // order matters when parsing - we try most specific patterns first
         // so "every 2 hours at 3pm" doesn't accidentally match the simpler "every 2 hours"
         this.patterns = {
-            // matches: "in 5 minutes", "in 2 hours", "in 1 day", etc
+            // matches: "in 5 minutes", "in 1h30m", "in half an hour", etc
             // this is like 80% of what people actually type so it's first
-            // the 's?' at the end handles both "minute" and "minutes"
-            relative: /^in\s+(\d+)\s*(second|sec|s|minute|min|m|hour|hr|h|day|d|week|w)s?$/i,
+            // the regex just grabs everything after "in" - parseDuration() decides
+            // whether it's actually a duration
+            relative: /^in\s+(.+)$/i,
             
-            // matches: "every 2 hours", "every day at 9am"
+            // matches: "every 2 hours", "every 1h30m", "every day at 9am"
             // the amount is optional - "every hour" defaults to 1
-            // struggled with this one because of the optional "at X" part
-            recurring: /^every\s+(\d+)?\s*(second|minute|hour|day|week)s?(?:\s+at\s+(\d{1,2})(?::(\d{2}))?\s*(am|pm)?)?$/i,
+            // struggled with this one because of the optional "at X" part.
+            // the lazy (.+?) is what lets "at X" peel off the end
+            recurring: /^every\s+(.+?)(?:\s+at\s+(\d{1,2})(?::(\d{2}))?\s*(am|pm)?)?$/i,
             
             // matches: "tomorrow at 3pm"
             // simpler than i expected once i had the time parsing helper
@@ -145,9 +197,68 @@ class TimeParser {
             
             // matches: "at 5:30pm", "at 14:00"
             // handles both 12-hour and 24-hour formats
-            absolute: /^at\s+(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i
+            absolute: /^at\s+(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i,
+            
+            // --- calendar patterns ---
+            // these got long enough that typing the time/month/weekday bits out
+            // five times was asking for typos, so they're built from the shared
+            // pieces below. every one takes an optional trailing "at <time>"
+            
+            // matches: "on 2026-12-03", "2026-12-03 at 14:00"
+            // ISO because it's the only numeric format that isn't ambiguous (12/03 - dec 3 or mar 12?)
+            isoDate: new RegExp(`^(?:on\\s+)?(\\d{4})-(\\d{1,2})-(\\d{1,2})${AT_TIME}$`, 'i'),
+            
+            // matches: "on march 3rd", "dec 25 2027 at 8am", "march 3, 2027"
+            monthDay: new RegExp(`^(?:on\\s+)?${MONTH}\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?${AT_TIME}$`, 'i'),
+            
+            // matches: "on 3rd march", "the 3rd of march at 5pm"
+            // the british-style order, half the team types it this way
+            dayMonth: new RegExp(`^(?:on\\s+)?(?:the\\s+)?(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH}(?:,?\\s+(\\d{4}))?${AT_TIME}$`, 'i'),
+            
+            // matches: "friday", "on friday at 5pm", "next friday at 5pm", "this tue"
+            weekday: new RegExp(`^(?:on\\s+)?(next\\s+|this\\s+)?${WEEKDAY}${AT_TIME}$`, 'i'),
+            
+            // matches: "in 2 weeks on monday", "in 1 week on fri at 3pm"
+            weeksOnDay: new RegExp(`^in\\s+(\\d+)\\s+weeks?\\s+on\\s+${WEEKDAY}${AT_TIME}$`, 'i'),
+            
+            // matches: "end of month", "end of the month at 5pm"
+            endOfMonth: new RegExp(`^(?:at\\s+)?(?:the\\s+)?end\\s+of\\s+(?:the\\s+)?month${AT_TIME}$`, 'i'),
+            
+            // --- recurrence rule patterns ---
+            // these turn into a rule object (see parseRule) instead of a fixed interval
+            
+            // matches: "every weekday at 9am", "every mon, wed and fri at 3pm", "every 2 weeks on tuesday"
+            weekdaySet: new RegExp(`^every\\s+(?:(\\d+)\\s+weeks?\\s+on\\s+)?(weekdays?|weekends?|${WEEKDAY_LIST})${AT_TIME}$`, 'i'),
+            
+            // matches: "every month on the 15th", "every 3 months on the last day at 5pm"
+            monthlyDate: new RegExp(`^every\\s+(?:(\\d+)\\s+)?months?\\s+on\\s+the\\s+(?:(\\d{1,2})(?:st|nd|rd|th)?|(last))(?:\\s+day)?${AT_TIME}$`, 'i'),
+            
+            // matches: "first monday of the month", "every last friday of the month at 4pm"
+            monthlyWeekday: new RegExp(`^(?:every\\s+)?(?:the\\s+)?(first|second|third|fourth|last|1st|2nd|3rd|4th)\\s+${WEEKDAY}\\s+of\\s+(?:the|every|each)\\s+month${AT_TIME}$`, 'i'),
+            
+            // optional end on any recurring expression: "... until dec 31", "... for 10 times", "... 5 times"
+            // lazy first group so the FIRST "until" splits it - the end date can have its own "at"
+            endCondition: /^(.+?)\s+(?:until\s+(.+)|(?:for\s+)?(\d+)\s+(?:times|occurrences))$/i
         };
         
+        // one example per supported form - used to suggest the closest one
+        // when nothing matches. keep this in sync when adding patterns
+        this.examples = [
+            'in 30 minutes',
+            'in 1h30m',
+            'every day at 9am',
+            'every weekday at 9am',
+            'first monday of the month at 10am',
+            'every day at 9am for 10 times',
+            'tomorrow at 3pm',
+            'at 5:30pm',
+            'on 2026-12-03 at 14:00',
+            'on march 3rd at 10am',
+            'next friday at 5pm',
+            'in 2 weeks on monday',
+            'end of month'
+        ];
+        
         // lookup table for converting units to milliseconds
         // multiple aliases because people type differently - "5m", "5min", "5 minutes" all work
         // learned the hard way that users will type things every possible way
@@ -158,6 +269,16 @@ class TimeParser {
             day: 86400000, d: 86400000,
             week: 604800000, w: 604800000
         };
+        
+        // spelled-out numbers for "in twenty minutes" and friends
+        // tens get combined with ones in parseDuration so "twenty five" = 25
+        this.numberWords = {
+            zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7,
+            eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12, thirteen: 13,
+            fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17, eighteen: 18,
+            nineteen: 19, twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60,
+            seventy: 70, eighty: 80, ninety: 90
+        };
     }
     
     // main entry point - takes a time string, returns timestamp + metadata
@@ -166,57 +287,40 @@ class TimeParser {
     // returns an object instead of just a timestamp because recurring reminders
     // need the interval for rescheduling. learned this when i added recurring
     // and had to refactor the return type
-    parse(input) {
+    //
+    // timezone is the user's IANA zone - "at 9am" means 9am on THEIR clock,
+    // not the server's. relative times don't care since "in 2 hours" is the same everywhere
+    parse(input, timezone = config.defaultTimezone) {
         const cleaned = input.trim().toLowerCase();
         
         // relative time is the most common case - "in 5 minutes"
-        // simple math: current time + (amount * milliseconds per unit)
+        // simple math: current time + duration
+        // if the part after "in" isn't a duration ("in 2 weeks on monday") we fall
+        // through and let the calendar patterns have a go
         const relativeMatch = cleaned.match(this.patterns.relative);
-        if (relativeMatch) {
-            const [_, amount, unit] = relativeMatch;
-            const ms = parseInt(amount) * this.multipliers[unit];
-            const timestamp = new Date(Date.now() + ms);
+        const relativeMs = relativeMatch && this.parseDuration(relativeMatch[1]);
+        if (relativeMs) {
+            const timestamp = new Date(Date.now() + relativeMs);
             
-            log.info('PARSER', `Parsed relative: +${amount}${unit} → ${timestamp.toISOString()}`);
+            log.info('PARSER', `Parsed relative: +${this.formatDuration(relativeMs)} → ${timestamp.toISOString()}`);
             // interval is null because this isn't recurring
             // isRecurring flag tells the manager how to handle it when triggered
             return { timestamp, interval: null, isRecurring: false };
         }
         
-        // recurring pattern - "every 2 hours" or "every day at 9am"
-        // this was the trickiest to implement because there are two cases:
-        // 1. just an interval (every 2 hours) - first trigger is now + interval
-        // 2. interval with specific time (every day at 9am) - first trigger is at that time
-        const recurringMatch = cleaned.match(this.patterns.recurring);
-        if (recurringMatch) {
-            const [_, amount, unit, hour, minute, meridiem] = recurringMatch;
-            // default to 1 if no amount - "every hour" means every 1 hour
-            const interval = (parseInt(amount) || 1) * this.multipliers[unit];
-            
-            let timestamp = new Date();
-            if (hour) {
-                // user wants it at a specific time each day
-                timestamp = this.calculateTimeToday(parseInt(hour), parseInt(minute) || 0, meridiem);
-                // edge case that bit me: if it's 10am and they say "every day at 9am"
-                // we need to start tomorrow, not schedule one in the past
-                if (timestamp < Date.now()) {
-                    timestamp = new Date(timestamp.getTime() + interval);
-                }
-            } else {
-                // no specific time, just start from now
-                timestamp = new Date(Date.now() + interval);
-            }
-            
-            log.info('PARSER', `Parsed recurring: every ${amount || 1}${unit} → first at ${timestamp.toISOString()}`);
-            // interval gets stored so check() can reschedule after each trigger
-            return { timestamp, interval, isRecurring: true };
+        // recurring - "every 2 hours", "every weekday at 9am", "first monday of the month"
+        // all of these become a rule object so check() can work out the next occurrence
+        // from the rule itself instead of from whenever the loop happened to run
+        const recurrence = this.parseRecurrence(cleaned, timezone);
+        if (recurrence) {
+            return recurrence;
         }
         
         // tomorrow pattern - pretty straightforward once i had calculateTimeTomorrow
         const tomorrowMatch = cleaned.match(this.patterns.tomorrow);
         if (tomorrowMatch) {
             const [_, hour, minute, meridiem] = tomorrowMatch;
-            const timestamp = this.calculateTimeTomorrow(parseInt(hour), parseInt(minute) || 0, meridiem);
+            const timestamp = this.calculateTimeTomorrow(parseInt(hour), parseInt(minute) || 0, meridiem, timezone);
             
             log.info('PARSER', `Parsed tomorrow: ${hour}:${minute || '00'}${meridiem || ''} → ${timestamp.toISOString()}`);
             return { timestamp, interval: null, isRecurring: false };
@@ -228,12 +332,12 @@ class TimeParser {
         const absoluteMatch = cleaned.match(this.patterns.absolute);
         if (absoluteMatch) {
             const [_, hour, minute, meridiem] = absoluteMatch;
-            let timestamp = this.calculateTimeToday(parseInt(hour), parseInt(minute) || 0, meridiem);
+            let timestamp = this.calculateTimeToday(parseInt(hour), parseInt(minute) || 0, meridiem, timezone);
             
             // this check was added after users complained about "at 5pm" failing at 6pm
             // makes more sense to assume they meant tomorrow than to throw an error
             if (timestamp < Date.now()) {
-                timestamp = new Date(timestamp.getTime() + 86400000);
+                timestamp = this.addDays(timestamp, 1, timezone);
                 log.info('PARSER', 'Time passed today, scheduling for tomorrow');
             }
             
@@ -241,47 +345,712 @@ class TimeParser {
             return { timestamp, interval: null, isRecurring: false };
         }
         
+        // calendar-style expressions - dates, weekdays, end of month
+        // split into its own method because parse() was getting way too long
+        const calendar = this.parseCalendar(cleaned, timezone);
+        if (calendar) {
+            return calendar;
+        }
+        
         // nothing matched - let the caller handle showing an error
-        throw new ReminderError('Could not parse time expression', 'PARSE_FAILED');
+        // but at least point them at the format that looks most like what they typed
+        const hint = this.closestForm(cleaned);
+        throw new ReminderError(`Could not parse time expression. Closest format: "${hint}"`, 'PARSE_FAILED', hint);
     }
     
-    // helper to build a Date for a specific time today
-    // handles the annoying am/pm to 24-hour conversion
-    calculateTimeToday(hour, minute, meridiem) {
-        let adjustedHour = hour;
+    // recurring expressions, plus the optional "until X" / "N times" end
+    // returns the usual result with a rule attached, or null if it isn't recurring
+    parseRecurrence(cleaned, timezone) {
+        // peel the end condition off first so the rule patterns don't need to know about it
+        const endMatch = cleaned.match(this.patterns.endCondition);
+        const parsed = this.parseRule(endMatch ? endMatch[1] : cleaned, timezone);
+        if (!parsed) {
+            return null;
+        }
+        
+        const { rule } = parsed;
+        rule.until = endMatch && endMatch[2] ? this.parseUntil(endMatch[2], timezone) : null;
+        rule.count = endMatch && endMatch[3] ? parseInt(endMatch[3]) : null;
+        
+        if (rule.count === 0) {
+            throw new ReminderError('A repeating reminder needs to fire at least once', 'PARSE_FAILED', 'every day at 9am for 10 times');
+        }
+        
+        // some patterns already know their first run ("every 2 hours at 3pm"),
+        // everything else asks the rule
+        const timestamp = parsed.timestamp || this.nextOccurrence(rule, Date.now());
+        if (!timestamp || (rule.until && timestamp.getTime() > rule.until)) {
+            throw new ReminderError('That repeat rule ends before it ever fires', 'PAST_TIME');
+        }
+        
+        log.info('PARSER', `Parsed recurring: ${this.describeRule(rule)} → first at ${timestamp.toISOString()}`);
+        // interval is only meaningful for plain "every N units" - calendar rules don't have a fixed one
+        return {
+            timestamp,
+            interval: rule.freq === 'interval' ? rule.every : null,
+            isRecurring: true,
+            rule
+        };
+    }
+    
+    // the recurrence grammar itself
+    // 
+    // a rule is a plain object so it survives JSON.stringify in save():
+    //    freq       'interval' | 'daily' | 'weekly' | 'monthly'
+    //    every      ms between runs (interval only)
+    //    interval   every N days/weeks/months (calendar freqs)
+    //    time       { hour, minute } on the wall clock
+    //    weekdays   [0-6], sunday = 0 (weekly)
+    //    monthDay   1-31, or -1 for the last day (monthly by date)
+    //    nth + weekday   "first monday" = nth 1, weekday 1; "last friday" = nth -1 (monthly by day)
+    //    start      { year, month, day } the rule counts "every N" from
+    //    until / count   optional end, filled in by parseRecurrence
+    //    timezone
+    // 
+    // went with this instead of real RRULE strings because nobody on the team
+    // wanted to read "FREQ=WEEKLY;BYDAY=MO,WE,FR" in the data file
+    // 
+    // returns { rule, timestamp? } - timestamp only when the first run isn't what the rule says
+    parseRule(body, timezone) {
+        const today = this.getZonedParts(new Date(), timezone);
+        const start = { year: today.year, month: today.month, day: today.day };
+        const timeOf = (hour, minute, meridiem) => hour
+            ? { hour: this.to24Hour(parseInt(hour), meridiem), minute: parseInt(minute) || 0 }
+            : { ...config.defaultTimeOfDay };
+        
+        // weekday sets - "every weekday", "every mon, wed, fri", "every 2 weeks on tuesday"
+        const weekdayMatch = body.match(this.patterns.weekdaySet);
+        if (weekdayMatch) {
+            const [_, weeks, days, hour, minute, meridiem] = weekdayMatch;
+            let weekdays;
+            if (/^weekdays?$/.test(days)) {
+                weekdays = [1, 2, 3, 4, 5];
+            } else if (/^weekends?$/.test(days)) {
+                weekdays = [0, 6];
+            } else {
+                weekdays = days.split(/\s*,\s*(?:and\s+)?|\s+and\s+/).map(name => WEEKDAY_KEYS.indexOf(name.slice(0, 3)));
+            }
+            
+            return {
+                rule: {
+                    freq: 'weekly',
+                    interval: parseInt(weeks) || 1,
+                    weekdays: [...new Set(weekdays)].sort((a, b) => a - b),
+                    time: timeOf(hour, minute, meridiem),
+                    start,
+                    timezone
+                }
+            };
+        }
+        
+        // monthly by date - "every month on the 15th", "every month on the last day"
+        // months without that date (the 31st in april) just get skipped, same as RRULE does
+        const monthlyDateMatch = body.match(this.patterns.monthlyDate);
+        if (monthlyDateMatch) {
+            const [_, months, day, last, hour, minute, meridiem] = monthlyDateMatch;
+            const monthDay = last ? -1 : parseInt(day);
+            if (monthDay !== -1 && (monthDay < 1 || monthDay > 31)) {
+                throw new ReminderError(`There's no ${day}th day of the month`, 'INVALID_DATE');
+            }
+            
+            return {
+                rule: {
+                    freq: 'monthly',
+                    interval: parseInt(months) || 1,
+                    monthDay,
+                    time: timeOf(hour, minute, meridiem),
+                    start,
+                    timezone
+                }
+            };
+        }
+        
+        // monthly by weekday - "first monday of the month", "last friday of every month"
+        const monthlyWeekdayMatch = body.match(this.patterns.monthlyWeekday);
+        if (monthlyWeekdayMatch) {
+            const [_, ordinal, dayName, hour, minute, meridiem] = monthlyWeekdayMatch;
+            
+            return {
+                rule: {
+                    freq: 'monthly',
+                    interval: 1,
+                    nth: ORDINALS[ordinal],
+                    weekday: WEEKDAY_KEYS.indexOf(dayName.slice(0, 3)),
+                    time: timeOf(hour, minute, meridiem),
+                    start,
+                    timezone
+                }
+            };
+        }
+        
+        // plain durations - "every 2 hours", "every day at 9am"
+        // with a time and a whole number of days it's really a calendar rule,
+        // so "every day at 9am" becomes daily and "every 2 weeks at 9am" becomes weekly
+        const recurringMatch = body.match(this.patterns.recurring);
+        const every = recurringMatch && this.parseDuration(recurringMatch[1], { allowBareUnit: true });
+        if (!every) {
+            return null;
+        }
+        
+        const [_, durationText, hour, minute, meridiem] = recurringMatch;
+        
+        if (hour && every % this.multipliers.day === 0) {
+            const days = every / this.multipliers.day;
+            const time = timeOf(hour, minute, meridiem);
+            
+            if (days % 7 === 0) {
+                // weekly on whatever today is - same as the old "today, or a week from today" behaviour
+                return { rule: { freq: 'weekly', interval: days / 7, weekdays: [this.getWeekday(today)], time, start, timezone } };
+            }
+            return { rule: { freq: 'daily', interval: days, time, start, timezone } };
+        }
+        
+        const rule = { freq: 'interval', every, timezone };
+        if (!hour) {
+            // no specific time - nextOccurrence starts it one interval from now
+            return { rule };
+        }
+        
+        // sub-day interval starting at a time, like "every 2 hours at 3pm"
+        // edge case that bit me: if it's 10am and they say "every 2 hours at 9am"
+        // we need to start from the next slot, not schedule one in the past.
+        // a loop because one step isn't always enough
+        let timestamp = this.calculateTimeToday(parseInt(hour), parseInt(minute) || 0, meridiem, timezone);
+        while (timestamp < Date.now()) {
+            timestamp = this.advance(timestamp, every, timezone);
+        }
+        return { rule, timestamp };
+    }
+    
+    // "until friday", "until 2026-12-31 at 5pm"
+    // reuses the one-off grammar. a bare date means through the end of that day,
+    // otherwise "until friday" would quietly stop at friday 9am
+    parseUntil(text, timezone) {
+        const { timestamp, isRecurring } = this.parse(text, timezone);
+        if (isRecurring) {
+            throw new ReminderError('"until" needs a date, not another repeat rule', 'PARSE_FAILED', 'every day at 9am until friday');
+        }
+        
+        if (/\bat\s+\d/.test(text)) {
+            return timestamp.getTime();
+        }
+        
+        const p = this.getZonedParts(timestamp, timezone);
+        return this.zonedTimeToUtc(p.year, p.month, p.day, 23, 59, timezone).getTime();
+    }
+    
+    // next time a rule fires strictly after `after` (epoch ms), or null once it's past `until`
+    // 
+    // `from` is the previous scheduled run. intervals always step from there, so a late
+    // check doesn't make "every 2 hours" creep later each time (whole days step on the
+    // wall clock, the rest in plain ms). calendar rules ignore it
+    // 
+    // calendar rules just walk forward day by day until one matches. dumb but easy to get
+    // right, and even "every 12 months on the 31st" matches within a couple of years
+    nextOccurrence(rule, after, from = after) {
+        const timezone = rule.timezone || config.defaultTimezone;
+        let next = null;
+        
+        if (rule.freq === 'interval') {
+            // plain ms steps can jump straight to the last slot at or before `after` -
+            // "every 5 minutes" after a week offline would otherwise loop 2000 times
+            let start = from;
+            if (rule.every % this.multipliers.day !== 0 && from < after) {
+                start = from + Math.floor((after - from) / rule.every) * rule.every;
+            }
+            
+            next = new Date(start);
+            while (next.getTime() <= after) {
+                next = this.advance(next, rule.every, timezone);
+            }
+        } else {
+            const start = this.getZonedParts(new Date(after), timezone);
+            const maxDays = 366 * 5;
+            
+            for (let offset = 0; offset <= maxDays && !next; offset++) {
+                const date = new Date(Date.UTC(start.year, start.month, start.day + offset));
+                const [year, month, day] = [date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()];
+                if (!this.ruleMatchesDay(rule, year, month, day)) continue;
+                
+                const candidate = this.zonedTimeToUtc(year, month, day, rule.time.hour, rule.time.minute, timezone);
+                if (candidate.getTime() > after) {
+                    next = candidate;
+                }
+            }
+        }
+        
+        if (!next || (rule.until && next.getTime() > rule.until)) {
+            return null;
+        }
+        return next;
+    }
+    
+    // does a calendar rule fire on this date? all the "every N" math counts from rule.start
+    ruleMatchesDay(rule, year, month, day) {
+        const dayNumber = Date.UTC(year, month, day) / this.multipliers.day;
+        const startNumber = Date.UTC(rule.start.year, rule.start.month, rule.start.day) / this.multipliers.day;
+        if (dayNumber < startNumber) return false;
+        
+        const weekday = this.getWeekday({ year, month, day });
+        
+        if (rule.freq === 'daily') {
+            return (dayNumber - startNumber) % rule.interval === 0;
+        }
+        
+        if (rule.freq === 'weekly') {
+            // monday-based week numbers. day 0 (jan 1 1970) was a thursday, +3 lines the weeks up
+            const weeks = Math.floor((dayNumber + 3) / 7) - Math.floor((startNumber + 3) / 7);
+            return rule.weekdays.includes(weekday) && weeks % rule.interval === 0;
+        }
+        
+        if (rule.freq === 'monthly') {
+            const months = (year * 12 + month) - (rule.start.year * 12 + rule.start.month);
+            if (months % rule.interval !== 0) return false;
+            
+            const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+            if (rule.monthDay) {
+                return day === (rule.monthDay === -1 ? lastDay : rule.monthDay);
+            }
+            
+            // "last friday" = a friday with no friday after it this month
+            if (weekday !== rule.weekday) return false;
+            return rule.nth === -1 ? day + 7 > lastDay : Math.ceil(day / 7) === rule.nth;
+        }
+        
+        return false;
+    }
+    
+    // rule → "every weekday at 9:00 AM until Dec 31, 2026"
+    // used by !remind list. occurrences = how many times it already fired, for the countdown
+    describeRule(rule, occurrences = 0) {
+        const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        let text;
+        
+        if (rule.freq === 'interval') {
+            text = `every ${this.formatDuration(rule.every)}`;
+        } else if (rule.freq === 'daily') {
+            text = rule.interval === 1 ? 'every day' : `every ${rule.interval} days`;
+        } else if (rule.freq === 'weekly') {
+            const key = rule.weekdays.join(',');
+            const days = key === '1,2,3,4,5' ? 'weekday'
+                : key === '0,6' ? 'weekend'
+                : rule.weekdays.map(d => dayNames[d]).join(', ');
+            text = rule.interval === 1 ? `every ${days}` : `every ${rule.interval} weeks on ${days}`;
+        } else if (rule.freq === 'monthly') {
+            const every = rule.interval === 1 ? 'every month' : `every ${rule.interval} months`;
+            let on;
+            if (rule.monthDay) {
+                on = rule.monthDay === -1 ? 'the last day' : `the ${this.ordinal(rule.monthDay)}`;
+            } else {
+                const nthNames = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', '-1': 'last' };
+                on = `the ${nthNames[rule.nth]} ${dayNames[rule.weekday]}`;
+            }
+            text = `${every} on ${on}`;
+        }
+        
+        if (rule.time) {
+            text += ` at ${this.formatClock(rule.time)}`;
+        }
+        if (rule.until) {
+            const untilDate = new Date(rule.until).toLocaleDateString('en-US', {
+                timeZone: rule.timezone || config.defaultTimezone,
+                month: 'short',
+                day: 'numeric',
+                year: 'numeric'
+            });
+            text += ` until ${untilDate}`;
+        }
+        if (rule.count) {
+            text += ` (${rule.count - occurrences} of ${rule.count} left)`;
+        }
+        
+        return text;
+    }
+    
+    // { hour: 14, minute: 5 } → "2:05 PM"
+    formatClock({ hour, minute }) {
+        const h12 = hour % 12 === 0 ? 12 : hour % 12;
+        return `${h12}:${String(minute).padStart(2, '0')} ${hour < 12 ? 'AM' : 'PM'}`;
+    }
+    
+    // 1 → "1st", 22 → "22nd", 13 → "13th" (the teens are the annoying part)
+    ordinal(n) {
+        const suffix = n % 100 >= 11 && n % 100 <= 13 ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+        return `${n}${suffix}`;
+    }
+    
+    // duration sub-parser shared by the relative and recurring patterns
+    // 
+    // the old regex only took one number + one unit, so "in 1h30m" and "in 1.5 hours"
+    // both failed. this handles:
+    //    compound:   "1h30m", "2 days and 4 hours", "1 hour, 30 minutes"
+    //    fractional: "1.5 hours"
+    //    words:      "an hour", "half an hour", "twenty five minutes", "an hour and a half"
+    // 
+    // allowBareUnit lets "hour" mean 1 hour - only makes sense after "every",
+    // "in hour" isn't something anyone types
+    // 
+    // returns total ms, or null if any part of the text isn't a duration
+    parseDuration(text, { allowBareUnit = false } = {}) {
+        let normalized = text.trim().toLowerCase();
+        
+        // spelled-out numbers → digits. "twenty five" and "twenty-five" both become 25
+        normalized = normalized.replace(
+            /\b(twenty|thirty|forty|fifty|sixty|seventy|eighty|ninety)[\s-]+(one|two|three|four|five|six|seven|eight|nine)\b/g,
+            (_, tens, ones) => this.numberWords[tens] + this.numberWords[ones]
+        );
+        normalized = normalized.replace(/\b[a-z]+\b/g, word => (
+            word in this.numberWords ? this.numberWords[word] : word
+        ));
+        
+        // the "half" phrasings, before "a"/"an" get turned into 1
+        normalized = normalized
+            .replace(/\bhalf\s+an?\s+/g, '0.5 ')
+            .replace(/\ban?\s+/g, '1 ')
+            .replace(/(\d+(?:\.\d+)?)\s*([a-z]+)\s+and\s+1\s+half\b/g, (_, n, unit) => `${parseFloat(n) + 0.5} ${unit}`);
+        
+        // "and" and commas are just separators between parts
+        normalized = normalized.replace(/\band\b|,/g, ' ').replace(/\s+/g, ' ').trim();
+        
+        // "every hour" / "every day"
+        if (allowBareUnit && /^[a-z]+$/.test(normalized)) {
+            normalized = `1 ${normalized}`;
+        }
+        
+        // eat "<number><unit>" chunks off the front until nothing's left
+        // any leftover junk means it wasn't a duration after all
+        // (?![a-z]) stops "5 months" from sneaking through as 5 minutes + "onths"
+        const chunk = /^(\d+(?:\.\d+)?)\s*(second|sec|minute|min|hour|hr|day|week|s|m|h|d|w)s?(?![a-z])\s*/;
+        let total = 0;
+        let rest = normalized;
+        
+        while (rest.length > 0) {
+            const match = rest.match(chunk);
+            if (!match) return null;
+            
+            total += parseFloat(match[1]) * this.multipliers[match[2]];
+            rest = rest.slice(match[0].length);
+        }
+        
+        // "in 0 minutes" or an empty string isn't useful
+        return total > 0 ? Math.round(total) : null;
+    }
+    
+    // ms → "1h 30m" for logs and confirmations
+    // biggest units first, skips the zero ones
+    formatDuration(ms) {
+        const units = [['w', this.multipliers.week], ['d', this.multipliers.day], ['h', this.multipliers.hour], ['m', this.multipliers.minute], ['s', this.multipliers.second]];
+        const parts = [];
+        let remaining = ms;
+        
+        for (const [label, size] of units) {
+            const amount = Math.floor(remaining / size);
+            if (amount > 0) {
+                parts.push(`${amount}${label}`);
+                remaining -= amount * size;
+            }
+        }
+        
+        return parts.join(' ') || '0s';
+    }
+    
+    // the date/weekday half of the grammar
+    // returns the usual { timestamp, interval, isRecurring } or null if nothing matched,
+    // so parse() can fall through to the error
+    // 
+    // everything goes through the user's timezone - "on friday" means their friday
+    parseCalendar(cleaned, timezone) {
+        const now = Date.now();
+        const today = this.getZonedParts(new Date(now), timezone);
+        
+        // ISO date - an explicit year means they meant exactly that day,
+        // so a past date is an error instead of rolling forward
+        const isoMatch = cleaned.match(this.patterns.isoDate);
+        if (isoMatch) {
+            const [_, year, month, day, hour, minute, meridiem] = isoMatch;
+            this.validateDate(parseInt(year), parseInt(month) - 1, parseInt(day));
+            const timestamp = this.buildDate(parseInt(year), parseInt(month) - 1, parseInt(day), hour, minute, meridiem, timezone);
+            this.assertFuture(timestamp, now);
+            
+            log.info('PARSER', `Parsed date: ${year}-${month}-${day} → ${timestamp.toISOString()}`);
+            return { timestamp, interval: null, isRecurring: false };
+        }
+        
+        // "march 3rd" and "3rd of march" only differ in word order
+        const monthDayMatch = cleaned.match(this.patterns.monthDay);
+        const dayMonthMatch = cleaned.match(this.patterns.dayMonth);
+        if (monthDayMatch || dayMonthMatch) {
+            const [monthName, day, year, hour, minute, meridiem] = monthDayMatch
+                ? monthDayMatch.slice(1)
+                : [dayMonthMatch[2], dayMonthMatch[1], ...dayMonthMatch.slice(3)];
+            const month = MONTH_KEYS.indexOf(monthName.slice(0, 3));
+            // validated against the year it actually lands in, so feb 29 only works in leap years
+            let targetYear = parseInt(year) || today.year;
+            this.validateDate(targetYear, month, parseInt(day));
+            
+            let timestamp = this.buildDate(targetYear, month, parseInt(day), hour, minute, meridiem, timezone);
+            if (year) {
+                this.assertFuture(timestamp, now);
+            } else if (timestamp.getTime() <= now) {
+                // no year and it already passed - same idea as "at 5pm" rolling to tomorrow,
+                // "march 3rd" in april means next year's
+                targetYear++;
+                this.validateDate(targetYear, month, parseInt(day));
+                timestamp = this.buildDate(targetYear, month, parseInt(day), hour, minute, meridiem, timezone);
+            }
+            
+            log.info('PARSER', `Parsed date: ${monthName} ${day} → ${timestamp.toISOString()}`);
+            return { timestamp, interval: null, isRecurring: false };
+        }
+        
+        // weekday - "friday", "this friday", "next friday"
+        // bare/"this" = the upcoming one, today included if the time hasn't passed
+        // "next" = the upcoming one but never today. people argue about whether "next friday"
+        // on a wednesday means 2 or 9 days out - went with 2 since that's what most of us meant
+        const weekdayMatch = cleaned.match(this.patterns.weekday);
+        if (weekdayMatch) {
+            const [_, qualifier, dayName, hour, minute, meridiem] = weekdayMatch;
+            const target = WEEKDAY_KEYS.indexOf(dayName.slice(0, 3));
+            
+            let daysAhead = (target - this.getWeekday(today) + 7) % 7;
+            if (daysAhead === 0 && qualifier && qualifier.trim() === 'next') {
+                daysAhead = 7;
+            }
+            
+            let timestamp = this.buildDate(today.year, today.month, today.day + daysAhead, hour, minute, meridiem, timezone);
+            if (timestamp.getTime() <= now) {
+                timestamp = this.addDays(timestamp, 7, timezone);
+            }
+            
+            log.info('PARSER', `Parsed weekday: ${qualifier || ''}${dayName} → ${timestamp.toISOString()}`);
+            return { timestamp, interval: null, isRecurring: false };
+        }
+        
+        // "in 2 weeks on monday" - the monday of the week N weeks from this one
+        // weeks start on monday here (ISO style), so on a sunday "in 1 week on monday"
+        // is 8 days out, not tomorrow
+        const weeksMatch = cleaned.match(this.patterns.weeksOnDay);
+        if (weeksMatch) {
+            const [_, weeks, dayName, hour, minute, meridiem] = weeksMatch;
+            const target = WEEKDAY_KEYS.indexOf(dayName.slice(0, 3));
+            
+            // (day + 6) % 7 shifts sunday=0 to monday=0
+            const weekStart = today.day - (this.getWeekday(today) + 6) % 7;
+            const day = weekStart + parseInt(weeks) * 7 + (target + 6) % 7;
+            
+            let timestamp = this.buildDate(today.year, today.month, day, hour, minute, meridiem, timezone);
+            if (timestamp.getTime() <= now) {
+                // only possible with "in 0 weeks", but still shouldn't schedule in the past
+                timestamp = this.addDays(timestamp, 7, timezone);
+            }
+            
+            log.info('PARSER', `Parsed weeks + weekday: +${weeks}w ${dayName} → ${timestamp.toISOString()}`);
+            return { timestamp, interval: null, isRecurring: false };
+        }
         
-        // 12-hour to 24-hour conversion
-        // the 12am/12pm edge cases tripped me up at first
-        // 12pm = noon = 12:00, 12am = midnight = 00:00
+        // end of month - the last day of this month, or next month's if that already passed
+        // day 0 of the following month is the last day of this one, Date.UTC handles it
+        const endMatch = cleaned.match(this.patterns.endOfMonth);
+        if (endMatch) {
+            const [_, hour, minute, meridiem] = endMatch;
+            const lastDay = (monthOffset) => new Date(Date.UTC(today.year, today.month + monthOffset + 1, 0)).getUTCDate();
+            
+            let timestamp = this.buildDate(today.year, today.month, lastDay(0), hour, minute, meridiem, timezone);
+            if (timestamp.getTime() <= now) {
+                timestamp = this.buildDate(today.year, today.month + 1, lastDay(1), hour, minute, meridiem, timezone);
+            }
+            
+            log.info('PARSER', `Parsed end of month → ${timestamp.toISOString()}`);
+            return { timestamp, interval: null, isRecurring: false };
+        }
+        
+        return null;
+    }
+    
+    // turn a calendar date + optional time match groups into a Date in the user's zone
+    // missing time falls back to config.defaultTimeOfDay
+    // day is allowed to overflow (day 33 = early next month) - the weekday math relies on that
+    buildDate(year, month, day, hour, minute, meridiem, timezone) {
+        const h = hour ? this.to24Hour(parseInt(hour), meridiem) : config.defaultTimeOfDay.hour;
+        const m = hour ? (parseInt(minute) || 0) : config.defaultTimeOfDay.minute;
+        return this.zonedTimeToUtc(year, month, day, h, m, timezone);
+    }
+    
+    // regex can't tell that february 30 is nonsense, so check the day
+    // survives a round trip through Date.UTC without rolling over
+    validateDate(year, month, day) {
+        const check = new Date(Date.UTC(year, month, day));
+        if (month < 0 || month > 11 || check.getUTCMonth() !== month || check.getUTCDate() !== day) {
+            throw new ReminderError(`${year}-${month + 1}-${day} isn't a real date`, 'INVALID_DATE');
+        }
+    }
+    
+    // explicit dates in the past are a mistake, not something to silently "fix"
+    assertFuture(timestamp, now) {
+        if (timestamp.getTime() <= now) {
+            throw new ReminderError('That date is already in the past', 'PAST_TIME');
+        }
+    }
+    
+    // day of week (0 = sunday) for a set of zoned parts
+    getWeekday(parts) {
+        return new Date(Date.UTC(parts.year, parts.month, parts.day)).getUTCDay();
+    }
+    
+    // pick the example that's the fewest edits away from what they typed
+    // plain levenshtein - not smart, but "next fridya 5pm" → "next friday at 5pm" is
+    // exactly the kind of thing it catches
+    closestForm(input) {
+        let best = this.examples[0];
+        let bestDistance = Infinity;
+        
+        for (const example of this.examples) {
+            const distance = this.editDistance(input, example);
+            if (distance < bestDistance) {
+                best = example;
+                bestDistance = distance;
+            }
+        }
+        
+        return best;
+    }
+    
+    // classic DP edit distance, one row at a time since we only need the last row
+    editDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            }
+            previous = current;
+        }
+        
+        return previous[b.length];
+    }
+    
+    // 12-hour to 24-hour conversion
+    // the 12am/12pm edge cases tripped me up at first
+    // 12pm = noon = 12:00, 12am = midnight = 00:00
+    to24Hour(hour, meridiem) {
         if (meridiem) {
             if (meridiem.toLowerCase() === 'pm' && hour !== 12) {
-                adjustedHour = hour + 12;
+                return hour + 12;
             } else if (meridiem.toLowerCase() === 'am' && hour === 12) {
-                adjustedHour = 0;
+                return 0;
             }
         }
+        return hour;
+    }
+    
+    // helper to build a Date for a specific time today
+    // handles the annoying am/pm to 24-hour conversion
+    // "today" means today in the user's timezone - near midnight that can be
+    // a different date than the server thinks it is
+    calculateTimeToday(hour, minute, meridiem, timezone = config.defaultTimezone) {
+        const adjustedHour = this.to24Hour(hour, meridiem);
         
-        // build a date for today at the specified time
-        // zeroing out seconds and ms so comparisons are clean
-        const now = new Date();
-        const target = new Date(
-            now.getFullYear(),
-            now.getMonth(),
-            now.getDate(),
-            adjustedHour,
-            minute,
-            0,
-            0
-        );
+        // build a date for today at the specified time on the user's wall clock
+        // seconds and ms are always zero so comparisons are clean
+        const today = this.getZonedParts(new Date(), timezone);
+        return this.zonedTimeToUtc(today.year, today.month, today.day, adjustedHour, minute, timezone);
+    }
+    
+    // same as above but one calendar day later
+    // used to be +86400000 but that's wrong on DST days (23 or 25 hour days)
+    calculateTimeTomorrow(hour, minute, meridiem, timezone = config.defaultTimezone) {
+        const timestamp = this.calculateTimeToday(hour, minute, meridiem, timezone);
+        return this.addDays(timestamp, 1, timezone);
+    }
+    
+    // move a Date forward by whole calendar days, keeping the same wall clock time
+    // "tomorrow at 9am" across a DST change is 23 or 25 hours away, not 24
+    addDays(date, days, timezone = config.defaultTimezone) {
+        const p = this.getZonedParts(date, timezone);
+        return this.zonedTimeToUtc(p.year, p.month, p.day + days, p.hour, p.minute, timezone);
+    }
+    
+    // step a timestamp forward by one recurring interval
+    // whole-day intervals ("every day", "every week") go by calendar days so 9am stays 9am,
+    // anything shorter is plain ms math because "every 2 hours" really means 2 hours
+    advance(date, interval, timezone = config.defaultTimezone) {
+        if (interval % this.multipliers.day === 0) {
+            return this.addDays(date, interval / this.multipliers.day, timezone);
+        }
+        return new Date(date.getTime() + interval);
+    }
+    
+    // what does the wall clock say in this timezone right at this instant?
+    // Intl is the only thing built into node that knows the DST rules,
+    // so we let it do the work and just read the pieces back out
+    // month is 0-based to match the Date constructor
+    getZonedParts(date, timezone) {
+        const formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        });
+        
+        const parts = {};
+        for (const { type, value } of formatter.formatToParts(date)) {
+            if (type !== 'literal') {
+                parts[type] = parseInt(value);
+            }
+        }
+        
+        return {
+            year: parts.year,
+            month: parts.month - 1,
+            day: parts.day,
+            hour: parts.hour,
+            minute: parts.minute,
+            second: parts.second
+        };
+    }
+    
+    // how far ahead of UTC the timezone is at this instant, in ms
+    // negative for anything west of greenwich
+    getTimezoneOffset(date, timezone) {
+        const p = this.getZonedParts(date, timezone);
+        const asUtc = Date.UTC(p.year, p.month, p.day, p.hour, p.minute, p.second);
+        return asUtc - (date.getTime() - date.getMilliseconds());
+    }
+    
+    // the reverse direction: "9:00 on the 3rd in new york" → an actual instant
+    // 
+    // first guess uses the offset at the naive time, second guess re-checks the
+    // offset at the first guess. two passes is enough to get across a DST boundary.
+    // Date.UTC also handles overflow, so day 32 just rolls into next month
+    // 
+    // if the time doesn't exist (the spring-forward gap) the second guess reads back
+    // as a different hour - in that case we keep the first guess, which pushes
+    // the time an hour later. same thing google calendar does
+    zonedTimeToUtc(year, month, day, hour, minute, timezone) {
+        const naive = Date.UTC(year, month, day, hour, minute, 0, 0);
+        const firstGuess = naive - this.getTimezoneOffset(new Date(naive), timezone);
+        const secondGuess = naive - this.getTimezoneOffset(new Date(firstGuess), timezone);
         
-        return target;
+        const readBack = this.getZonedParts(new Date(secondGuess), timezone);
+        return new Date(readBack.hour === new Date(naive).getUTCHours() ? secondGuess : firstGuess);
     }
     
-    // same as above but adds a day
-    // could have inlined this but it makes the calling code cleaner
-    calculateTimeTomorrow(hour, minute, meridiem) {
-        const timestamp = this.calculateTimeToday(hour, minute, meridiem);
-        return new Date(timestamp.getTime() + 86400000);
+    // validate + normalize a timezone name
+    // Intl throws a RangeError for zones it doesn't know, and resolvedOptions gives us
+    // the canonical spelling back so "america/new_york" gets stored properly
+    // returns null instead of throwing so callers can pick their own error
+    resolveTimezone(timezone) {
+        try {
+            return new Intl.DateTimeFormat('en-US', { timeZone: timezone }).resolvedOptions().timeZone;
+        } catch (error) {
+            return null;
+        }
     }
 }
  
@@ -327,6 +1096,9 @@ class TimeParser {
  * touches both. forgot this once and had a bug where reminders would
  * trigger but not show up in the list. now there's a comment every
  * time i modify one reminding me to modify the other.
+ * 
+ * there's also a third Map, this.userSettings, for per-user preferences
+ * like timezone. it's not an index so it doesn't need syncing with the others.
  */
 class ReminderManager extends EventEmitter {
     constructor() {
@@ -343,6 +1115,15 @@ class ReminderManager extends EventEmitter {
         // Set inside because a user can't have duplicate reminder ids
         this.userReminders = new Map();
         
+        // per-user preferences - userId → { timezone }
+        // only users who changed something get an entry, everyone else gets defaults
+        this.userSettings = new Map();
+        
+        // one-time reminders that already fired, kept around for config.snoozeWindow
+        // so the snooze button still has something to re-arm. id → reminder
+        // not part of the two-Map sync - these aren't active reminders anymore
+        this.recentlyTriggered = new Map();
+        
         // incrementing id - gets saved/loaded so we don't reuse ids after restart
         // reusing ids would be confusing if someone deleted #5 then a new one got #5
         this.nextId = 1;
@@ -360,7 +1141,12 @@ class ReminderManager extends EventEmitter {
     // create a new reminder - the main entry point from the bot
     // validates limits, parses time, stores in both maps, saves to disk
     // returns the reminder object so the bot can show a confirmation
-    async create(userId, channelId, message, timeString) {
+    // 
+    // options.delivery overrides the user's default ('dm' or 'channel')
+    // options.targets is who gets pinged instead of the owner: [{ type: 'user' | 'role', id }]
+    // options.canTargetRoles comes from the bot layer - the manager doesn't know about
+    // discord permissions, it just enforces the rule
+    async create(userId, channelId, message, timeString, options = {}) {
         try {
             // check user's limit before doing any work
             // using the userReminders index makes this O(1)
@@ -375,7 +1161,18 @@ class ReminderManager extends EventEmitter {
             
             // delegate parsing to TimeParser
             // if it can't parse, it throws and we catch below
-            const { timestamp, interval, isRecurring } = this.parser.parse(timeString);
+            // parsing happens in the user's timezone so "at 9am" is their 9am
+            const timezone = this.getTimezone(userId);
+            const { timestamp, interval, isRecurring, rule = null } = this.parser.parse(timeString, timezone);
+            
+            // reminding yourself by mention is the same as no targets
+            const targets = (options.targets || []).filter(t => !(t.type === 'user' && t.id === userId));
+            this.validateTargets(userId, targets, options.canTargetRoles);
+            
+            // reminders for other people go to the channel - we can't DM a role,
+            // and DMing the owner about someone else's reminder makes no sense
+            const delivery = targets.length > 0 ? 'channel' : (options.delivery || this.getDelivery(userId));
+            this.validateDelivery(delivery);
             
             // build the reminder object with everything we need later
             // storing channelId so we know where to send the notification
@@ -385,9 +1182,14 @@ class ReminderManager extends EventEmitter {
                 userId,
                 channelId,
                 message,
+                delivery,  // 'dm' or 'channel' - channelId is still kept as the DM fallback
+                targets,  // who to ping - empty means just the owner
                 timestamp: timestamp.getTime(),
                 interval,  // null for one-time, ms value for recurring
                 isRecurring,
+                rule,  // recurrence rule for recurring ones - check() asks it for the next run
+                occurrences: 0,  // how many times it's fired, for rules with a count
+                timezone,  // kept so times can be shown on the user's wall clock
                 createdAt: Date.now(),
                 triggered: false  // used to mark one-time reminders as done
             };
@@ -432,39 +1234,212 @@ class ReminderManager extends EventEmitter {
             throw new ReminderError('Not authorized to delete this reminder', 'UNAUTHORIZED');
         }
         
-        // IMPORTANT: remove from both maps - same sync issue as create
-        this.reminders.delete(reminderId);
-        const userSet = this.userReminders.get(userId);
-        if (userSet) {
-            userSet.delete(reminderId);
-        }
+        // IMPORTANT: remove from both maps - same sync issue as create
+        this.reminders.delete(reminderId);
+        const userSet = this.userReminders.get(userId);
+        if (userSet) {
+            userSet.delete(reminderId);
+        }
+        
+        await this.save();
+        
+        log.success('MANAGER', `Deleted reminder #${reminderId}`);
+        this.emit('reminder:deleted', reminder);
+        
+        return reminder;  // return it so the bot can show what was deleted
+    }
+    
+    // change an existing reminder's text and/or time in place
+    // keeps the id and createdAt, which delete + re-create would lose
+    // 
+    // the new time goes through TimeParser just like create(), in the user's current
+    // timezone. parsing happens before anything is touched, so a bad time expression
+    // leaves the reminder exactly as it was
+    async update(reminderId, userId, { message, timeString } = {}) {
+        const reminder = this.reminders.get(reminderId);
+        
+        if (!reminder) {
+            throw new ReminderError('Reminder not found', 'NOT_FOUND');
+        }
+        
+        // same ownership rule as delete
+        if (reminder.userId !== userId) {
+            throw new ReminderError('Not authorized to edit this reminder', 'UNAUTHORIZED');
+        }
+        
+        if (!message && !timeString) {
+            throw new ReminderError('Nothing to change - give a new time or new text', 'NOTHING_TO_UPDATE');
+        }
+        
+        if (timeString) {
+            const timezone = this.getTimezone(userId);
+            const { timestamp, interval, isRecurring, rule = null } = this.parser.parse(timeString, timezone);
+            
+            // new schedule = fresh start, so the occurrence count and any snooze reset
+            Object.assign(reminder, {
+                timestamp: timestamp.getTime(),
+                interval,
+                isRecurring,
+                rule,
+                occurrences: 0,
+                snoozedUntil: null,
+                timezone
+            });
+        }
+        
+        if (message) {
+            reminder.message = message;
+        }
+        
+        // IMPORTANT: keep both maps in sync
+        // the id and owner didn't change so the index entry is already right,
+        // but re-adding it is cheap insurance against the bug from the class comment
+        this.reminders.set(reminder.id, reminder);
+        const userSet = this.userReminders.get(userId) || new Set();
+        userSet.add(reminder.id);
+        this.userReminders.set(userId, userSet);
+        
+        await this.save();
+        
+        log.success('MANAGER', `Updated reminder #${reminderId}`);
+        this.emit('reminder:updated', reminder);
+        
+        return reminder;
+    }
+    
+    // get all reminders for a user
+    // this is why the userReminders index exists - O(1) to get the set of ids
+    // then we just resolve each id to its full reminder object
+    list(userId) {
+        const userSet = this.userReminders.get(userId) || new Set();
+        const userReminders = [];
+        
+        // resolve ids to full reminder objects
+        for (const reminderId of userSet) {
+            const reminder = this.reminders.get(reminderId);
+            if (reminder) {
+                userReminders.push(reminder);
+            }
+        }
+        
+        // sort by timestamp so soonest reminders show first
+        // more intuitive than showing them in creation order
+        return userReminders.sort((a, b) => a.timestamp - b.timestamp);
+    }
+    
+    // the user's timezone, or the bot-wide default if they never set one
+    getTimezone(userId) {
+        const settings = this.userSettings.get(userId);
+        return (settings && settings.timezone) || config.defaultTimezone;
+    }
+    
+    // store a user's timezone preference
+    // only affects reminders created afterwards - existing ones already have
+    // an absolute timestamp and keep the zone they were created in
+    async setTimezone(userId, timezone) {
+        const resolved = this.parser.resolveTimezone(timezone);
+        if (!resolved) {
+            throw new ReminderError(
+                `Unknown timezone "${timezone}". Use an IANA name like America/New_York or Europe/Berlin`,
+                'INVALID_TIMEZONE'
+            );
+        }
+        
+        const settings = this.userSettings.get(userId) || {};
+        settings.timezone = resolved;
+        this.userSettings.set(userId, settings);
+        
+        await this.save();
+        
+        log.success('MANAGER', `Set timezone for user ${userId} to ${resolved}`);
+        this.emit('user:timezone', { userId, timezone: resolved });
+        
+        return resolved;
+    }
+    
+    // checks for reminders aimed at other people
+    // - roles need the Manage Messages permission (checked by the bot, passed in)
+    // - users who opted out of reminders from others can't be targeted
+    validateTargets(userId, targets, canTargetRoles) {
+        if (targets.some(t => t.type === 'role') && !canTargetRoles) {
+            throw new ReminderError('You need the Manage Messages permission to set reminders for a role', 'UNAUTHORIZED');
+        }
+        
+        const blocked = targets.filter(t => t.type === 'user' && this.isBlocked(t.id, userId));
+        if (blocked.length > 0) {
+            throw new ReminderError(
+                `${blocked.length === 1 ? 'Someone you mentioned has' : `${blocked.length} people you mentioned have`} opted out of reminders from others`,
+                'TARGET_OPTED_OUT'
+            );
+        }
+    }
+    
+    // has targetId opted out of reminders from fromUserId?
+    // either they block everyone, or that one person specifically
+    isBlocked(targetId, fromUserId) {
+        const settings = this.userSettings.get(targetId);
+        if (!settings) return false;
+        return Boolean(settings.blockOthers) || (settings.blockedUsers || []).includes(fromUserId);
+    }
+    
+    // opt in/out of reminders set by other people
+    // fromUserId = null means everyone, otherwise just that one person
+    async setBlocked(userId, fromUserId, blocked) {
+        const settings = this.userSettings.get(userId) || {};
+        
+        if (fromUserId === null) {
+            settings.blockOthers = blocked;
+        } else {
+            const list = new Set(settings.blockedUsers || []);
+            if (blocked) {
+                list.add(fromUserId);
+            } else {
+                list.delete(fromUserId);
+            }
+            settings.blockedUsers = Array.from(list);
+        }
+        
+        this.userSettings.set(userId, settings);
+        await this.save();
+        
+        log.success('MANAGER', `User ${userId} ${blocked ? 'blocked' : 'unblocked'} reminders from ${fromUserId || 'everyone'}`);
+        return settings;
+    }
+    
+    // the targets that should actually get pinged when a reminder fires
+    // re-checks opt-outs at trigger time since people can opt out after it was set.
+    // roles always stay - there's no per-member opt-out for a role ping
+    getDeliverableTargets(reminder) {
+        return (reminder.targets || []).filter(t => t.type === 'role' || !this.isBlocked(t.id, reminder.userId));
+    }
+    
+    // where a user's reminders go by default - 'channel' unless they changed it
+    getDelivery(userId) {
+        const settings = this.userSettings.get(userId);
+        return (settings && settings.delivery) || 'channel';
+    }
+    
+    // store a user's default delivery mode
+    // same deal as timezone - only affects reminders created afterwards
+    async setDelivery(userId, delivery) {
+        this.validateDelivery(delivery);
+        
+        const settings = this.userSettings.get(userId) || {};
+        settings.delivery = delivery;
+        this.userSettings.set(userId, settings);
         
         await this.save();
         
-        log.success('MANAGER', `Deleted reminder #${reminderId}`);
-        this.emit('reminder:deleted', reminder);
+        log.success('MANAGER', `Set delivery for user ${userId} to ${delivery}`);
+        this.emit('user:delivery', { userId, delivery });
         
-        return reminder;  // return it so the bot can show what was deleted
+        return delivery;
     }
     
-    // get all reminders for a user
-    // this is why the userReminders index exists - O(1) to get the set of ids
-    // then we just resolve each id to its full reminder object
-    list(userId) {
-        const userSet = this.userReminders.get(userId) || new Set();
-        const userReminders = [];
-        
-        // resolve ids to full reminder objects
-        for (const reminderId of userSet) {
-            const reminder = this.reminders.get(reminderId);
-            if (reminder) {
-                userReminders.push(reminder);
-            }
+    validateDelivery(delivery) {
+        if (delivery !== 'dm' && delivery !== 'channel') {
+            throw new ReminderError(`Unknown delivery mode "${delivery}". Use "dm" or "channel"`, 'INVALID_DELIVERY');
         }
-        
-        // sort by timestamp so soonest reminders show first
-        // more intuitive than showing them in creation order
-        return userReminders.sort((a, b) => a.timestamp - b.timestamp);
     }
     
     // the core loop - runs every second checking for due reminders
@@ -484,18 +1459,37 @@ class ReminderManager extends EventEmitter {
         // Map iteration is O(n) but n is bounded by maxRemindersPerUser * users
         // in practice this is fast enough even with thousands of reminders
         for (const [id, reminder] of this.reminders) {
+            // snoozed occurrence of a recurring reminder - fire it again but
+            // leave the rule's schedule alone, the next regular run still happens
+            if (reminder.snoozedUntil && reminder.snoozedUntil <= now) {
+                reminder.snoozedUntil = null;
+                triggered.push(reminder);
+                continue;
+            }
+            
             // skip already-triggered one-time reminders (they get cleaned up below)
             // check timestamp against current time
             if (!reminder.triggered && reminder.timestamp <= now) {
                 triggered.push(reminder);
                 
                 // here's where recurring and one-time diverge
-                if (reminder.isRecurring && reminder.interval) {
-                    // recurring: schedule the next occurrence
-                    // just add the interval to current time, not the original timestamp
-                    // this prevents drift if we were slow to trigger
-                    reminder.timestamp = now + reminder.interval;
-                    log.info('MANAGER', `Recurring reminder #${id} rescheduled for ${new Date(reminder.timestamp).toISOString()}`);
+                if (reminder.isRecurring && reminder.rule) {
+                    // recurring: ask the rule for the next occurrence after now.
+                    // computing from the rule (not now + interval) means a late check
+                    // doesn't shift "every day at 9am" to 9:00:01, and if the bot was
+                    // down for days we skip straight to the next future one
+                    reminder.occurrences = (reminder.occurrences || 0) + 1;
+                    const next = this.parser.nextOccurrence(reminder.rule, now, reminder.timestamp);
+                    const exhausted = reminder.rule.count && reminder.occurrences >= reminder.rule.count;
+                    
+                    if (next && !exhausted) {
+                        reminder.timestamp = next.getTime();
+                        log.info('MANAGER', `Recurring reminder #${id} rescheduled for ${next.toISOString()}`);
+                    } else {
+                        // hit its until date or occurrence count - clean it up like a one-time one
+                        reminder.triggered = true;
+                        log.info('MANAGER', `Recurring reminder #${id} finished`);
+                    }
                 } else {
                     // one-time: mark as triggered for cleanup
                     // can't delete here because we're iterating the map
@@ -505,17 +1499,29 @@ class ReminderManager extends EventEmitter {
             }
         }
         
-        // second pass: cleanup triggered one-time reminders
+        // second pass: cleanup triggered one-time reminders (and finished recurring ones)
         // doing this in a separate loop because you can't delete from a Map while iterating it
         // well, you can in JS but it's weird and i don't trust it
         for (const [id, reminder] of this.reminders) {
-            if (reminder.triggered && !reminder.isRecurring) {
+            if (reminder.triggered) {
                 // IMPORTANT: remove from both maps
                 const userSet = this.userReminders.get(reminder.userId);
                 if (userSet) {
                     userSet.delete(id);
                 }
                 this.reminders.delete(id);
+                
+                // park it so the snooze button can bring it back
+                reminder.triggeredAt = now;
+                this.recentlyTriggered.set(id, reminder);
+            }
+        }
+        
+        // drop parked reminders once they're too old to snooze
+        // no save here - the next save picks it up, not worth a disk write on its own
+        for (const [id, reminder] of this.recentlyTriggered) {
+            if (now - reminder.triggeredAt > config.snoozeWindow) {
+                this.recentlyTriggered.delete(id);
             }
         }
         
@@ -535,6 +1541,84 @@ class ReminderManager extends EventEmitter {
         return triggered;  // useful for testing
     }
     
+    // push a reminder back by a duration - backs the snooze buttons
+    // duration is ms or anything parseDuration understands ("10m", "1h30m")
+    // 
+    // two cases:
+    // - one-time that already fired: pulled back out of recentlyTriggered and
+    //   re-armed in both maps with a new timestamp, same id
+    // - recurring: gets a snoozedUntil on top of its normal schedule, so snoozing
+    //   today's standup doesn't move tomorrow's
+    // 
+    // returns { reminder, until } so the caller can say when it'll fire again
+    async snooze(reminderId, userId, duration) {
+        const ms = typeof duration === 'number' ? duration : this.parser.parseDuration(String(duration));
+        if (!ms) {
+            throw new ReminderError(`Invalid snooze duration "${duration}"`, 'PARSE_FAILED', '10m');
+        }
+        
+        const reminder = this.reminders.get(reminderId) || this.recentlyTriggered.get(reminderId);
+        if (!reminder) {
+            throw new ReminderError('Reminder not found (it may be too old to snooze)', 'NOT_FOUND');
+        }
+        
+        // same ownership rule as delete - only the owner gets to press the buttons
+        if (reminder.userId !== userId) {
+            throw new ReminderError('Only the owner can snooze this reminder', 'UNAUTHORIZED');
+        }
+        
+        const until = Date.now() + ms;
+        
+        if (reminder.isRecurring && this.reminders.has(reminderId)) {
+            reminder.snoozedUntil = until;
+        } else {
+            // re-arm the one-time reminder
+            // not checking maxRemindersPerUser - it was already counted when they made it
+            this.recentlyTriggered.delete(reminderId);
+            delete reminder.triggeredAt;
+            reminder.triggered = false;
+            reminder.timestamp = until;
+            
+            // IMPORTANT: update both maps to keep them in sync
+            this.reminders.set(reminder.id, reminder);
+            const userSet = this.userReminders.get(userId) || new Set();
+            userSet.add(reminder.id);
+            this.userReminders.set(userId, userSet);
+        }
+        
+        await this.save();
+        
+        log.success('MANAGER', `Snoozed reminder #${reminderId} until ${new Date(until).toISOString()}`);
+        this.emit('reminder:snoozed', reminder, until);
+        
+        return { reminder, until };
+    }
+    
+    // the "Done" button - the user has seen it, stop offering snooze
+    // for recurring ones this also cancels a pending snooze
+    async acknowledge(reminderId, userId) {
+        const reminder = this.reminders.get(reminderId) || this.recentlyTriggered.get(reminderId);
+        if (!reminder) {
+            throw new ReminderError('Reminder not found', 'NOT_FOUND');
+        }
+        
+        if (reminder.userId !== userId) {
+            throw new ReminderError('Only the owner can mark this reminder as done', 'UNAUTHORIZED');
+        }
+        
+        this.recentlyTriggered.delete(reminderId);
+        if (reminder.snoozedUntil) {
+            reminder.snoozedUntil = null;
+        }
+        
+        await this.save();
+        
+        log.success('MANAGER', `Reminder #${reminderId} acknowledged`);
+        this.emit('reminder:acknowledged', reminder);
+        
+        return reminder;
+    }
+    
     // start the polling loop
     // called once when the bot connects to discord
     startChecking() {
@@ -568,7 +1652,14 @@ class ReminderManager extends EventEmitter {
                 userReminders: Array.from(this.userReminders.entries()).map(([userId, set]) => ({
                     userId,
                     reminderIds: Array.from(set)
-                }))
+                })),
+                // settings objects are plain already, just flatten the Map
+                userSettings: Array.from(this.userSettings.entries()).map(([userId, settings]) => ({
+                    userId,
+                    ...settings
+                })),
+                // so snooze buttons keep working across a restart
+                recentlyTriggered: Array.from(this.recentlyTriggered.values())
             };
             
             // pretty print with indent=2 so i can actually read the file when debugging
@@ -594,6 +1685,17 @@ class ReminderManager extends EventEmitter {
             // rebuild the primary Map
             this.reminders.clear();
             for (const reminder of data.reminders || []) {
+                // reminders saved before recurrence rules existed only have an interval.
+                // wrap it in an interval rule so check() only has one code path
+                if (reminder.isRecurring && reminder.interval && !reminder.rule) {
+                    reminder.rule = {
+                        freq: 'interval',
+                        every: reminder.interval,
+                        timezone: reminder.timezone || config.defaultTimezone,
+                        until: null,
+                        count: null
+                    };
+                }
                 this.reminders.set(reminder.id, reminder);
             }
             
@@ -604,6 +1706,19 @@ class ReminderManager extends EventEmitter {
                 this.userReminders.set(userId, new Set(reminderIds));
             }
             
+            // rebuild per-user settings
+            // older data files don't have this key, hence the fallback
+            this.userSettings.clear();
+            for (const { userId, ...settings } of data.userSettings || []) {
+                this.userSettings.set(userId, settings);
+            }
+            
+            // fired reminders that can still be snoozed
+            this.recentlyTriggered.clear();
+            for (const reminder of data.recentlyTriggered || []) {
+                this.recentlyTriggered.set(reminder.id, reminder);
+            }
+            
             log.success('STORAGE', `Loaded ${this.reminders.size} reminders from disk`);
             
         } catch (error) {
@@ -640,13 +1755,21 @@ class ReminderManager extends EventEmitter {
 class ReminderBot {
     constructor() {
         // discord.js client with the intents we need
+        // slash commands only need Guilds. the rest is for the !remind prefix:
         // MessageContent is required to read message content after discord's changes
+        // DirectMessages lets people run !remind in DMs with the bot. the Channel partial
+        // is needed too - DM channels aren't cached, and without it discord.js just drops
+        // the messageCreate event. took me way too long to figure that one out
         this.client = new Client({
             intents: [
                 GatewayIntentBits.Guilds,
-                GatewayIntentBits.GuildMessages,
-                GatewayIntentBits.MessageContent
-            ]
+                ...(config.enablePrefixCommands ? [
+                    GatewayIntentBits.GuildMessages,
+                    GatewayIntentBits.MessageContent,
+                    GatewayIntentBits.DirectMessages
+                ] : [])
+            ],
+            partials: [Partials.Channel]
         });
         
         // composition: bot HAS a manager
@@ -668,6 +1791,9 @@ class ReminderBot {
             // load any reminders saved from last run
             await this.manager.load();
             
+            // make sure discord knows about /remind
+            await this.registerSlashCommands();
+            
             // start the check loop
             this.manager.startChecking();
             
@@ -677,15 +1803,18 @@ class ReminderBot {
         });
         
         // incoming messages - filter for our command and handle it
-        this.client.on('messageCreate', async (message) => {
-            // ignore other bots to prevent loops
-            if (message.author.bot) return;
-            
-            // only respond to our command prefix
-            if (!message.content.startsWith('!remind')) return;
-            
-            await this.handleCommand(message);
-        });
+        // skipped entirely when prefix commands are off (no MessageContent intent anyway)
+        if (config.enablePrefixCommands) {
+            this.client.on('messageCreate', async (message) => {
+                // ignore other bots to prevent loops
+                if (message.author.bot) return;
+                
+                // only respond to our command prefix
+                if (!message.content.startsWith('!remind')) return;
+                
+                await this.handleCommand(message);
+            });
+        }
         
         // HERE'S THE KEY CONNECTION
         // manager emits 'reminder:trigger' → we catch it and send a discord message
@@ -695,118 +1824,595 @@ class ReminderBot {
             await this.sendReminder(reminder);
         });
         
+        // everything interaction-shaped: /remind, its autocomplete, and the
+        // button + dropdown clicks on triggered reminders
+        // component customIds all start with "remind:" so we don't grab other bots' components
+        this.client.on('interactionCreate', async (interaction) => {
+            if (interaction.isChatInputCommand() && interaction.commandName === 'remind') {
+                await this.handleSlashCommand(interaction);
+            } else if (interaction.isAutocomplete() && interaction.commandName === 'remind') {
+                await this.handleAutocomplete(interaction);
+            } else if ((interaction.isButton() || interaction.isStringSelectMenu()) && interaction.customId.startsWith('remind:')) {
+                await this.handleInteraction(interaction);
+            }
+        });
+        
         // log discord errors so they don't fail silently
         this.client.on('error', (error) => {
             log.error('BOT', `Discord error: ${error.message}`);
         });
     }
     
-    // parse a !remind command and route to the right action
-    // handles list, delete, and create
+    // === command handling ===
+    // 
+    // two front-ends, one dispatch layer:
+    //    !remind ...  → parseTextCommand() → dispatch()
+    //    /remind ...  → slashToAction()    → dispatch()
+    // 
+    // each front-end only turns its input into an { action, params } pair.
+    // dispatch() does the manager call and builds the reply, so list/delete/etc
+    // behave the same no matter how they were typed. front-ends also handle
+    // sending the reply - a message reply vs an ephemeral interaction reply
+    
+    // TEXT FRONT-END - "!remind ..."
     async handleCommand(message) {
-        const args = message.content.slice(8).trim(); // remove "!remind "
+        try {
+            const { action, params } = this.parseTextCommand(message.content.slice(8).trim()); // remove "!remind "
+            
+            const reply = await this.dispatch(action, params, {
+                userId: message.author.id,
+                channelId: message.channel.id,  // store so we know where to send the reminder
+                inGuild: Boolean(message.guild),
+                // channel-level check since overwrites can grant/deny it per channel
+                canTargetRoles: Boolean(message.member &&
+                    message.member.permissionsIn(message.channel).has(PermissionFlagsBits.ManageMessages))
+            });
+            
+            await message.reply(reply);
+            
+        } catch (error) {
+            // something went wrong - show a friendly error
+            log.error('COMMAND', error.message);
+            await message.reply({ embeds: [this.buildErrorEmbed(error, 'text')] });
+        }
+    }
+    
+    // "!remind <args>" → { action, params }
+    // handles list, delete, edit, timezone, delivery, block, and create
+    parseTextCommand(args) {
+        const lower = args.toLowerCase();
+        
+        // DELIVERY - "!remind delivery dm" / "!remind delivery channel", bare shows the current one
+        if (lower === 'delivery' || lower.startsWith('delivery ')) {
+            return { action: 'delivery', params: { mode: args.slice(8).trim().toLowerCase() } };
+        }
+        
+        // TIMEZONE - "!remind timezone" shows the current one, "!remind timezone Europe/Berlin" sets it
+        if (lower === 'timezone' || lower.startsWith('timezone ')) {
+            return { action: 'timezone', params: { zone: args.slice(8).trim() } };
+        }
+        
+        // BLOCK / UNBLOCK - opt out of reminders other people set for you
+        // "!remind block" blocks everyone, "!remind block @bob" just bob
+        const blockMatch = args.match(/^(block|unblock)(?:\s+<@!?(\d+)>)?$/i);
+        if (blockMatch) {
+            return {
+                action: 'block',
+                params: { blocked: blockMatch[1].toLowerCase() === 'block', fromUserId: blockMatch[2] || null }
+            };
+        }
+        
+        // LIST - show all reminders for this user
+        if (lower === 'list') {
+            return { action: 'list', params: {} };
+        }
+        
+        // DELETE - remove a reminder by id
+        if (lower.startsWith('delete ')) {
+            const id = parseInt(args.split(' ')[1]);
+            if (isNaN(id)) {
+                throw new ReminderError('Please provide a valid reminder ID', 'INVALID_ID');
+            }
+            return { action: 'delete', params: { id } };
+        }
+        
+        // EDIT - "!remind edit 3 time tomorrow at 10am" / "!remind edit 3 text Call mom back"
+        // one field at a time keeps it unambiguous - no pipe needed
+        if (lower === 'edit' || lower.startsWith('edit ')) {
+            const editMatch = args.match(/^edit\s+#?(\d+)\s+(time|text)\s+(.+)$/is);
+            if (!editMatch) {
+                throw new ReminderError(
+                    'Format: `!remind edit <id> time <when>` or `!remind edit <id> text <message>`',
+                    'INVALID_EDIT'
+                );
+            }
+            
+            const [, id, field, value] = editMatch;
+            return {
+                action: 'edit',
+                params: {
+                    id: parseInt(id),
+                    timeString: field.toLowerCase() === 'time' ? value.trim() : undefined,
+                    message: field.toLowerCase() === 'text' ? value.trim() : undefined
+                }
+            };
+        }
+        
+        // CREATE - format is: !remind [@people @roles] [dm|here] <time> | <message>
+        // using pipe as separator because it's unlikely to appear in natural text
+        // tried comma first but "remind me at 3pm, do laundry" broke it
+        // 
+        // leading mentions are who gets pinged instead of you.
+        // <@id> / <@!id> are users, <@&id> is a role
+        const targets = [];
+        let rest = args;
+        let mentionMatch;
+        while ((mentionMatch = rest.match(/^<@(!|&)?(\d+)>\s*/))) {
+            targets.push({ type: mentionMatch[1] === '&' ? 'role' : 'user', id: mentionMatch[2] });
+            rest = rest.slice(mentionMatch[0].length);
+        }
+        
+        // "dm" / "here" in front overrides the user's default delivery for this one
+        let delivery;
+        const deliveryMatch = rest.match(/^(dm|here)\s+/i);
+        if (deliveryMatch) {
+            delivery = deliveryMatch[1].toLowerCase() === 'dm' ? 'dm' : 'channel';
+            rest = rest.slice(deliveryMatch[0].length);
+        }
+        
+        // split on the FIRST pipe only - time expressions never contain one,
+        // so the message itself is free to ("a | b" used to break this)
+        const pipe = rest.indexOf('|');
+        const timeString = pipe === -1 ? '' : rest.slice(0, pipe).trim();
+        const message = pipe === -1 ? '' : rest.slice(pipe + 1).trim();
+        if (!timeString || !message) {
+            return { action: 'help', params: {} };
+        }
+        
+        return { action: 'set', params: { timeString, message, delivery, targets } };
+    }
+    
+    // SLASH FRONT-END - "/remind <subcommand>"
+    // every reply is ephemeral - nobody else needs to see your reminder list
+    async handleSlashCommand(interaction) {
+        try {
+            const { action, params } = this.slashToAction(interaction);
+            
+            const reply = await this.dispatch(action, params, {
+                userId: interaction.user.id,
+                channelId: interaction.channelId,
+                inGuild: interaction.inGuild(),
+                // memberPermissions already has the channel overwrites applied
+                canTargetRoles: Boolean(interaction.memberPermissions &&
+                    interaction.memberPermissions.has(PermissionFlagsBits.ManageMessages))
+            });
+            
+            await interaction.reply({ ...reply, ephemeral: true });
+            
+        } catch (error) {
+            log.error('COMMAND', error.message);
+            // the success reply above may be what failed (slow dispatch, expired token)
+            await this.sendInteractionError(interaction, { embeds: [this.buildErrorEmbed(error, 'slash')], ephemeral: true });
+        }
+    }
+    
+    // slash options → the same { action, params } shape parseTextCommand produces
+    // no pipe splitting needed, discord hands us each option separately
+    slashToAction(interaction) {
+        const options = interaction.options;
+        const subcommand = options.getSubcommand();
+        
+        if (subcommand === 'set') {
+            // mentionable = user or role. the raw option tells us which one it was
+            const target = options.get('for');
+            const targets = target
+                ? [target.role ? { type: 'role', id: target.role.id } : { type: 'user', id: target.value }]
+                : [];
+            
+            return {
+                action: 'set',
+                params: {
+                    timeString: options.getString('when'),
+                    message: options.getString('message'),
+                    delivery: options.getString('delivery') || undefined,
+                    targets
+                }
+            };
+        }
+        
+        if (subcommand === 'delete') {
+            return { action: 'delete', params: { id: options.getInteger('id') } };
+        }
+        
+        if (subcommand === 'edit') {
+            return {
+                action: 'edit',
+                params: {
+                    id: options.getInteger('id'),
+                    timeString: options.getString('time') || undefined,
+                    message: options.getString('text') || undefined
+                }
+            };
+        }
+        
+        return { action: subcommand, params: {} };
+    }
+    
+    // reminder id autocomplete for /remind delete and /remind edit
+    // matches on the id or the text, discord caps it at 25 choices / 100 chars each
+    async handleAutocomplete(interaction) {
+        const typed = String(interaction.options.getFocused()).toLowerCase();
+        
+        const choices = this.manager.list(interaction.user.id)
+            .filter(r => String(r.id).startsWith(typed) || r.message.toLowerCase().includes(typed))
+            .slice(0, 25)
+            .map(r => ({ name: `#${r.id} - ${r.message}`.slice(0, 100), value: r.id }));
         
         try {
-            // LIST command - show all reminders for this user
-            if (args.toLowerCase() === 'list') {
-                const reminders = this.manager.list(message.author.id);
+            await interaction.respond(choices);
+        } catch (error) {
+            // autocomplete has a 3 second deadline, nothing useful to do if we miss it
+            log.warn('COMMAND', `Autocomplete failed: ${error.message}`);
+        }
+    }
+    
+    // DISPATCH - the shared part. runs an action and returns a reply payload
+    // ctx = { userId, channelId, inGuild, canTargetRoles } from whichever front-end
+    async dispatch(action, params, ctx) {
+        switch (action) {
+            case 'set': {
+                if (params.targets.length > 0 && !ctx.inGuild) {
+                    throw new ReminderError('Reminders for other people have to be set in a server channel', 'UNAUTHORIZED');
+                }
                 
-                // format as a discord embed for clean presentation
-                const embed = new EmbedBuilder()
-                    .setColor(config.embedColor)
-                    .setTitle('📋 Your Reminders')
-                    .setDescription(
-                        reminders.length === 0
-                            ? 'You have no active reminders'
-                            : reminders.map(r => {
-                                const time = new Date(r.timestamp).toLocaleString();
-                                // show a little icon for recurring ones
-                                const recurring = r.isRecurring ? ' 🔄' : '';
-                                return `**#${r.id}**${recurring} - ${time}\n> ${r.message}`;
-                            }).join('\n\n')
-                    )
-                    .setFooter({ text: `Total: ${reminders.length}/${config.maxRemindersPerUser}` });
+                // manager.create handles parsing, storage, everything
+                // anything set from inside a DM is a DM reminder no matter what
+                const reminder = await this.manager.create(
+                    ctx.userId,
+                    ctx.channelId,
+                    params.message,
+                    params.timeString,
+                    {
+                        delivery: ctx.inGuild ? params.delivery : 'dm',
+                        targets: params.targets,
+                        canTargetRoles: ctx.canTargetRoles
+                    }
+                );
                 
-                await message.reply({ embeds: [embed] });
-                return;
+                return { embeds: [this.buildReminderEmbed(reminder, '✅ Reminder Set')] };
             }
             
-            // DELETE command - remove a reminder by id
-            if (args.toLowerCase().startsWith('delete ')) {
-                const id = parseInt(args.split(' ')[1]);
-                
-                if (isNaN(id)) {
-                    await message.reply('❌ Please provide a valid reminder ID');
-                    return;
-                }
-                
+            case 'list':
+                return { embeds: [this.buildListEmbed(ctx.userId)] };
+            
+            case 'delete': {
                 // manager.delete handles ownership check and throws if unauthorized
-                const reminder = await this.manager.delete(id, message.author.id);
+                const reminder = await this.manager.delete(params.id, ctx.userId);
                 
                 const embed = new EmbedBuilder()
                     .setColor(0xED4245)
                     .setTitle('🗑️ Reminder Deleted')
                     .setDescription(`Deleted reminder #${reminder.id}:\n> ${reminder.message}`);
                 
-                await message.reply({ embeds: [embed] });
-                return;
+                return { embeds: [embed] };
             }
             
-            // CREATE - format is: !remind <time> | <message>
-            // using pipe as separator because it's unlikely to appear in natural text
-            // tried comma first but "remind me at 3pm, do laundry" broke it
-            const parts = args.split('|');
-            if (parts.length !== 2) {
-                await message.reply('❌ Format: `!remind <time> | <message>`\nExample: `!remind in 1 hour | Check the oven`');
-                return;
+            case 'edit': {
+                // manager.update re-parses the time and handles ownership
+                const reminder = await this.manager.update(params.id, ctx.userId, {
+                    message: params.message,
+                    timeString: params.timeString
+                });
+                
+                return { embeds: [this.buildReminderEmbed(reminder, '✏️ Reminder Updated')] };
+            }
+            
+            case 'timezone': {
+                if (!params.zone) {
+                    const current = this.manager.getTimezone(ctx.userId);
+                    return { content: `🌍 Your timezone is **${current}** (it's ${this.formatTime(Date.now(), current)} there)\nChange it with \`!remind timezone <IANA zone>\`, e.g. \`!remind timezone America/New_York\`` };
+                }
+                
+                // manager validates the zone and throws INVALID_TIMEZONE if it's bogus
+                const timezone = await this.manager.setTimezone(ctx.userId, params.zone);
+                
+                const embed = new EmbedBuilder()
+                    .setColor(0x57F287)
+                    .setTitle('🌍 Timezone Updated')
+                    .setDescription(`New reminders will use **${timezone}**\nLocal time there: ${this.formatTime(Date.now(), timezone)}`);
+                
+                return { embeds: [embed] };
+            }
+            
+            case 'delivery': {
+                if (!params.mode) {
+                    const current = this.manager.getDelivery(ctx.userId);
+                    return { content: `📬 Your reminders are delivered by **${current === 'dm' ? 'direct message' : 'channel'}**\nChange it with \`!remind delivery dm\` or \`!remind delivery channel\`` };
+                }
+                
+                // manager throws INVALID_DELIVERY for anything that isn't dm/channel
+                const delivery = await this.manager.setDelivery(ctx.userId, params.mode);
+                
+                const embed = new EmbedBuilder()
+                    .setColor(0x57F287)
+                    .setTitle('📬 Delivery Updated')
+                    .setDescription(delivery === 'dm'
+                        ? 'New reminders will be sent by DM. If your DMs are closed they\'ll show up in the channel instead.'
+                        : 'New reminders will be posted in the channel you set them in.');
+                
+                return { embeds: [embed] };
             }
             
-            const timeString = parts[0].trim();
-            const reminderMessage = parts[1].trim();
+            case 'block': {
+                await this.manager.setBlocked(ctx.userId, params.fromUserId, params.blocked);
+                
+                const who = params.fromUserId ? `<@${params.fromUserId}>` : 'anyone else';
+                return {
+                    content: params.blocked
+                        ? `🔕 Reminders set for you by ${who} are now blocked`
+                        : `🔔 Reminders set for you by ${who} are allowed again`
+                };
+            }
             
-            // manager.create handles parsing, storage, everything
-            const reminder = await this.manager.create(
-                message.author.id,
-                message.channel.id,  // store so we know where to send the reminder
-                reminderMessage,
-                timeString
-            );
+            case 'help':
+                return {
+                    content: '❌ Format: `!remind <time> | <message>`\n' +
+                        'Examples:\n' +
+                        '• `!remind in 1 hour | Check the oven`\n' +
+                        '• `!remind next friday at 5pm | Submit timesheet`\n' +
+                        '• `!remind every weekday at 9am | Standup`\n' +
+                        '• `!remind on 2026-12-03 at 14:00 | Dentist`\n' +
+                        '• `!remind end of month | Pay rent`\n' +
+                        '• `!remind dm in 2 hours | Sent to your DMs`\n' +
+                        'Change one later with `!remind edit <id> time <when>` or `!remind edit <id> text <message>`\n' +
+                        'Or use `/remind set`'
+                };
             
-            // success embed with all the details
-            const embed = new EmbedBuilder()
-                .setColor(0x57F287)
-                .setTitle('✅ Reminder Set')
-                .addFields(
-                    { name: 'When', value: new Date(reminder.timestamp).toLocaleString(), inline: true },
-                    { name: 'Type', value: reminder.isRecurring ? '🔄 Recurring' : '⏰ One-time', inline: true },
-                    { name: 'Message', value: reminderMessage }
-                )
-                .setFooter({ text: `Reminder #${reminder.id}` });
+            default:
+                throw new ReminderError(`Unknown command "${action}"`, 'UNKNOWN_COMMAND');
+        }
+    }
+    
+    // the confirmation embed for set/edit - everything about one reminder
+    buildReminderEmbed(reminder, title) {
+        const embed = new EmbedBuilder()
+            .setColor(0x57F287)
+            .setTitle(title)
+            .addFields(
+                { name: 'When', value: this.formatTime(reminder.timestamp, reminder.timezone), inline: true },
+                {
+                    name: 'Type',
+                    value: reminder.rule ? `🔄 ${this.manager.parser.describeRule(reminder.rule, reminder.occurrences)}` : '⏰ One-time',
+                    inline: true
+                },
+                { name: 'Delivery', value: reminder.delivery === 'dm' ? '📬 DM' : '💬 Channel', inline: true },
+                { name: 'Message', value: reminder.message }
+            )
+            .setFooter({ text: `Reminder #${reminder.id}` });
+        
+        if (reminder.targets && reminder.targets.length > 0) {
+            embed.addFields({ name: 'For', value: this.formatTargets(reminder.targets) });
+        }
+        
+        return embed;
+    }
+    
+    // all of a user's reminders as one embed, soonest first
+    buildListEmbed(userId) {
+        const reminders = this.manager.list(userId);
+        const timezone = this.manager.getTimezone(userId);
+        
+        // format as a discord embed for clean presentation
+        return new EmbedBuilder()
+            .setColor(config.embedColor)
+            .setTitle('📋 Your Reminders')
+            .setDescription(
+                reminders.length === 0
+                    ? 'You have no active reminders'
+                    : reminders.map(r => {
+                        const time = this.formatTime(r.timestamp, timezone);
+                        // show a little icon and the rule in plain english for recurring ones
+                        const recurring = (r.isRecurring ? ' 🔄' : '') + (r.delivery === 'dm' ? ' 📬' : '');
+                        const rule = r.rule ? `\n🔄 ${this.manager.parser.describeRule(r.rule, r.occurrences)}` : '';
+                        const targets = r.targets && r.targets.length > 0 ? `\n👥 for ${this.formatTargets(r.targets)}` : '';
+                        return `**#${r.id}**${recurring} - ${time}${rule}${targets}\n> ${r.message}`;
+                    }).join('\n\n')
+            )
+            .setFooter({ text: `Total: ${reminders.length}/${config.maxRemindersPerUser}` });
+    }
+    
+    // error embed with a "try this" footer in the syntax of the front-end that failed
+    buildErrorEmbed(error, frontEnd) {
+        const hint = error.hint || 'in 30 minutes';
+        
+        return new EmbedBuilder()
+            .setColor(0xED4245)
+            .setTitle('❌ Error')
+            .setDescription(error.message)
+            .setFooter({
+                text: frontEnd === 'slash'
+                    ? `Try: /remind set when:${hint}`
+                    : `Try: !remind ${hint} | Your message`
+            });
+    }
+    
+    // the /remind definition. one command with subcommands instead of
+    // four top-level ones so it doesn't clutter everyone's command picker
+    buildSlashCommand() {
+        return new SlashCommandBuilder()
+            .setName('remind')
+            .setDescription('Natural language reminders')
+            .addSubcommand(sub => sub
+                .setName('set')
+                .setDescription('Set a reminder')
+                .addStringOption(option => option
+                    .setName('when')
+                    .setDescription('e.g. "in 2 hours", "next friday at 5pm", "every weekday at 9am"')
+                    .setRequired(true)
+                    .setMaxLength(200))
+                .addStringOption(option => option
+                    .setName('message')
+                    .setDescription('What to remind you about')
+                    .setRequired(true)
+                    .setMaxLength(1000))
+                .addStringOption(option => option
+                    .setName('delivery')
+                    .setDescription('Where to send it (defaults to your preference)')
+                    .addChoices(
+                        { name: 'Direct message', value: 'dm' },
+                        { name: 'This channel', value: 'channel' }
+                    ))
+                .addMentionableOption(option => option
+                    .setName('for')
+                    .setDescription('Remind someone else or a role instead of you')))
+            .addSubcommand(sub => sub
+                .setName('list')
+                .setDescription('Show your reminders'))
+            .addSubcommand(sub => sub
+                .setName('delete')
+                .setDescription('Delete one of your reminders')
+                .addIntegerOption(option => option
+                    .setName('id')
+                    .setDescription('Reminder ID')
+                    .setRequired(true)
+                    .setAutocomplete(true)))
+            .addSubcommand(sub => sub
+                .setName('edit')
+                .setDescription('Change the time or text of one of your reminders')
+                .addIntegerOption(option => option
+                    .setName('id')
+                    .setDescription('Reminder ID')
+                    .setRequired(true)
+                    .setAutocomplete(true))
+                .addStringOption(option => option
+                    .setName('time')
+                    .setDescription('New time, e.g. "tomorrow at 10am"')
+                    .setMaxLength(200))
+                .addStringOption(option => option
+                    .setName('text')
+                    .setDescription('New reminder text')
+                    .setMaxLength(1000)));
+    }
+    
+    // push the /remind definition to discord
+    // commands.set() replaces whatever was registered before, so it's safe to run on every start
+    async registerSlashCommands() {
+        try {
+            const command = this.buildSlashCommand().toJSON();
             
-            await message.reply({ embeds: [embed] });
+            if (config.slashCommandGuildId) {
+                await this.client.application.commands.set([command], config.slashCommandGuildId);
+            } else {
+                await this.client.application.commands.set([command]);
+            }
             
+            log.success('BOT', `Registered /remind ${config.slashCommandGuildId ? `in guild ${config.slashCommandGuildId}` : 'globally'}`);
         } catch (error) {
-            // something went wrong - show a friendly error
-            log.error('COMMAND', error.message);
+            // not fatal - !remind still works without it
+            log.error('BOT', `Failed to register slash commands: ${error.message}`);
+        }
+    }
+    
+    // [{ type, id }] → "<@123>, <@&456>" - discord renders these as mentions in embeds
+    formatTargets(targets) {
+        return targets.map(t => t.type === 'role' ? `<@&${t.id}>` : `<@${t.id}>`).join(', ');
+    }
+    
+    // show a timestamp on the user's wall clock instead of the server's
+    // the zone name goes on the end so nobody has to guess which 9am we mean
+    formatTime(timestamp, timezone = config.defaultTimezone) {
+        const time = new Date(timestamp).toLocaleString('en-US', { timeZone: timezone });
+        return `${time} (${timezone})`;
+    }
+    
+    // snooze/done clicks on a triggered reminder
+    // customId layout: "remind:<action>:<id>[:<duration>]"
+    //    remind:snooze:12:10m    - fixed snooze buttons
+    //    remind:snooze-select:12 - dropdown, duration comes from interaction.values
+    //    remind:done:12
+    // the manager does the ownership check, we just turn its errors into ephemeral replies
+    // so other people clicking don't spam the channel
+    async handleInteraction(interaction) {
+        const [, action, rawId, rawDuration] = interaction.customId.split(':');
+        const reminderId = parseInt(rawId);
+        
+        try {
+            const embed = EmbedBuilder.from(interaction.message.embeds[0]);
             
-            const embed = new EmbedBuilder()
-                .setColor(0xED4245)
-                .setTitle('❌ Error')
-                .setDescription(error.message)
-                .setFooter({ text: 'Try: !remind in 30 minutes | Your message' });
+            if (action === 'done') {
+                await this.manager.acknowledge(reminderId, interaction.user.id);
+                
+                // buttons go away once it's done - nothing left to click
+                embed.setColor(0x57F287).setTitle('✅ Reminder Done');
+                await interaction.update({ embeds: [embed], components: [] });
+                return;
+            }
+            
+            const duration = action === 'snooze-select' ? interaction.values[0] : rawDuration;
+            const { reminder, until } = await this.manager.snooze(reminderId, interaction.user.id, duration);
             
-            await message.reply({ embeds: [embed] });
+            embed.setColor(0x99AAB5)
+                .setTitle('💤 Reminder Snoozed')
+                .setFields({ name: 'Snoozed until', value: this.formatTime(until, reminder.timezone) });
+            await interaction.update({ embeds: [embed], components: [] });
+            
+        } catch (error) {
+            log.error('INTERACTION', error.message);
+            await this.sendInteractionError(interaction, { content: `❌ ${error.message}`, ephemeral: true });
+        }
+    }
+    
+    // error replies for interactions. if we already acknowledged it (update, reply, defer)
+    // a second reply() throws, so fall back to followUp. and a stale click can be past
+    // the 3 second window entirely - nothing catches that rejection, so log it here
+    // instead of letting it take the whole bot down
+    async sendInteractionError(interaction, payload) {
+        try {
+            if (interaction.replied || interaction.deferred) {
+                await interaction.followUp(payload);
+            } else {
+                await interaction.reply(payload);
+            }
+        } catch (error) {
+            log.warn('INTERACTION', `Could not send error reply: ${error.message}`);
         }
     }
     
+    // the snooze/done controls attached to a triggered reminder
+    // two rows because discord only allows 5 buttons OR one select menu per row
+    buildReminderControls(reminder) {
+        const buttons = new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`remind:snooze:${reminder.id}:10m`)
+                .setLabel('Snooze 10m')
+                .setEmoji('💤')
+                .setStyle(ButtonStyle.Secondary),
+            new ButtonBuilder()
+                .setCustomId(`remind:snooze:${reminder.id}:1h`)
+                .setLabel('Snooze 1h')
+                .setEmoji('💤')
+                .setStyle(ButtonStyle.Secondary),
+            new ButtonBuilder()
+                .setCustomId(`remind:done:${reminder.id}`)
+                .setLabel('Done')
+                .setEmoji('✅')
+                .setStyle(ButtonStyle.Success)
+        );
+        
+        const select = new ActionRowBuilder().addComponents(
+            new StringSelectMenuBuilder()
+                .setCustomId(`remind:snooze-select:${reminder.id}`)
+                .setPlaceholder('Snooze for…')
+                .addOptions(config.snoozeOptions)
+        );
+        
+        return [buttons, select];
+    }
+    
     // send a reminder notification to discord
     // called when manager emits 'reminder:trigger'
     async sendReminder(reminder) {
         try {
-            // fetch the channel using the id we stored when the reminder was created
-            // this could fail if the channel was deleted
-            const channel = await this.client.channels.fetch(reminder.channelId);
-            
             const embed = new EmbedBuilder()
                 .setColor(0xFEE75C)
                 .setTitle('⏰ Reminder!')
@@ -814,11 +2420,49 @@ class ReminderBot {
                 .setTimestamp(reminder.createdAt)
                 .setFooter({ text: `Reminder #${reminder.id}` });
             
-            // ping the user so they get a notification
+            // DM delivery - try the user directly first
+            // DMs notify on their own so no ping needed here
+            if (reminder.delivery === 'dm') {
+                try {
+                    const user = await this.client.users.fetch(reminder.userId);
+                    await user.send({
+                        embeds: [embed],
+                        components: this.buildReminderControls(reminder)
+                    });
+                    
+                    log.success('REMINDER', `Sent reminder #${reminder.id} to user ${reminder.userId} by DM`);
+                    return;
+                } catch (dmError) {
+                    // usually 50007 "Cannot send messages to this user" = DMs closed.
+                    // fall through to the channel so the reminder isn't just lost
+                    log.warn('REMINDER', `Couldn't DM user ${reminder.userId} for #${reminder.id}: ${dmError.message}`);
+                    embed.setFooter({ text: `Reminder #${reminder.id} • couldn't DM you, so it's here instead` });
+                }
+            }
+            
+            // fetch the channel using the id we stored when the reminder was created
+            // this could fail if the channel was deleted
+            const channel = await this.client.channels.fetch(reminder.channelId);
+            
+            // ping the targets if it's for other people, otherwise the owner
             // the embed alone wouldn't notify them
+            // if every target opted out since it was set, the owner gets it back
+            // rather than posting it to nobody
+            const targets = this.manager.getDeliverableTargets(reminder);
+            if (targets.length > 0) {
+                embed.addFields({ name: 'From', value: `<@${reminder.userId}>` });
+            }
+            const pinged = targets.length > 0 ? targets : [{ type: 'user', id: reminder.userId }];
+            
+            // allowedMentions spelled out so only the intended people/roles get notified
             await channel.send({
-                content: `<@${reminder.userId}>`,
-                embeds: [embed]
+                content: this.formatTargets(pinged),
+                embeds: [embed],
+                components: this.buildReminderControls(reminder),
+                allowedMentions: {
+                    users: pinged.filter(t => t.type === 'user').map(t => t.id),
+                    roles: pinged.filter(t => t.type === 'role').map(t => t.id)
+                }
             });
             
             log.success('REMINDER', `Sent reminder #${reminder.id} to user ${reminder.userId}`);
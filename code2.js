@@ -19,6 +19,10 @@
  *    └→ knows nothing about discord.js client management or CLI
  *    └→ could be imported and used in a web dashboard or bot command
  * 
+ * MessageCache (storage)
+ *    └→ append-only NDJSON file per guild with every message we've fetched
+ *    └→ lets a run only fetch what's new, or skip discord entirely (--offline)
+ * 
  * ActivityCLI (interface layer)
  *    └→ handles bot connection, user prompts, cleanup
  *    └→ just pipes discord data into the analyzer
@@ -33,10 +37,16 @@
  * 
  * data flow:
  *    user picks a server from the list
- *    → CLI fetches all channels in that guild
- *    → for each channel, analyzer requests last N messages
+ *    → CLI fetches all channels in that guild, plus active + archived
+ *      threads (forum posts are threads too)
+ *    → for each channel, analyzer pages backwards through the last N messages
+ *      (or everything since a date), 100 at a time
  *    → discord.js returns Collection of Message objects
  *    → analyzer extracts the data we care about into simple objects
+ *      (thread messages count toward their parent channel)
+ *    → new ones appended to the guild's cache file, merged with what was
+ *      already there
+ *    → the filter (dates, channels, users, roles, bots) picks what gets counted
  *    → stored in maps/arrays organized by what we're analyzing
  *    → display functions iterate over the organized data and draw charts
  * 
@@ -49,28 +59,47 @@
 const { Client, GatewayIntentBits, PermissionFlagsBits } = require('discord.js');
 const readline = require('readline');
 const fs = require('fs').promises;
-require('dotenv').config({ debug: true });
+const { createReadStream } = require('fs');
+const path = require('path');
 
 // pulled these out after tweaking them like 20 times during testing
 // messageLimit started at 100, bumped to 500 when i realized most channels
 // have way more history than that and 100 wasn't showing the real picture
+// (it was also silently capped at 100 until pagination went in, oops)
 const config = {
     token: 'token </>',
     messageLimit: 500,
+    pageSize: 100,  // discord's max per request, no point asking for less
     enableDebug: true,
     chartWidth: 50,  // terminal width in chars, looks good on most screens
-    topUsersCount: 10  // more than 10 makes the chart too long
+    topUsersCount: 10,  // more than 10 makes the chart too long
+    cacheEnabled: true,
+    cacheDir: './activity-cache',  // one <guildId>.ndjson per server + guilds.json index
+    quiet: false  // --quiet - errors only, set by the entry point
+};
+
+// exit codes so scripts and cron can tell what went wrong without parsing output
+// anything unexpected is a plain 1
+const EXIT_CODES = {
+    OK: 0,
+    ERROR: 1,
+    USAGE: 2,  // bad arguments, unknown server
+    LOGIN_FAILED: 3,
+    MISSING_PERMISSIONS: 4,  // every channel was off limits to the bot
+    NO_DATA: 5  // could read, but nothing (that matches the filter) to analyze
 };
 
 // logging utility - got tired of inconsistent console.log formats
 // the component tags help when debugging - can search for [DEBUG] in terminal
+// --quiet silences everything except errors, which go to stderr anyway
 const log = {
-    info: (msg) => console.log(`[INFO] ${msg}`),
-    success: (msg) => console.log(`[✓] ${msg}`),
+    info: (msg) => !config.quiet && console.log(`[INFO] ${msg}`),
+    success: (msg) => !config.quiet && console.log(`[✓] ${msg}`),
     error: (msg) => console.error(`[✗] ${msg}`),
-    warn: (msg) => console.log(`[⚠️] ${msg}`),
-    progress: (msg) => process.stdout.write(`\r${msg}`),  // \r overwrites current line
-    debug: (msg) => config.enableDebug && console.log(`[DEBUG] ${msg}`)
+    warn: (msg) => !config.quiet && console.log(`[⚠️] ${msg}`),
+    progress: (msg) => !config.quiet && process.stdout.write(`\r${msg}`),  // \r overwrites current line
+    progressDone: () => !config.quiet && console.log(''),  // newline after the progress indicator
+    debug: (msg) => config.enableDebug && !config.quiet && console.log(`[DEBUG] ${msg}`)
 };
 
 /**
@@ -89,7 +118,10 @@ const log = {
  * 24-element structure where index = hour. simpler than a Map for that.
  */
 class ActivityAnalyzer {
-    constructor() {
+    // cache - a MessageCache to read from / append to, or null to always hit discord
+    constructor({ cache = null } = {}) {
+        this.cache = cache;
+        
         // raw message data - just the fields we care about
         // originally stored the full Message objects but that was eating memory
         // when analyzing large servers. trimmed it down to just what we need.
@@ -101,12 +133,30 @@ class ActivityAnalyzer {
         this.stats = {
             totalMessages: 0,
             uniqueUsers: new Set(),  // Set auto-dedupes user IDs
-            channelActivity: new Map(),  // channel name → message count
+            channelActivity: new Map(),  // channel name → message count (threads included)
+            threadActivity: new Map(),  // thread id → { name, channelName, count }
             userActivity: new Map(),  // user tag → message count
             hourlyActivity: new Array(24).fill(0),  // index = hour of day
             dailyActivity: new Map(),  // date string → message count
+            oldest: null,  // timestamps of the first/last counted message, for the date range
+            newest: null,
             messageLengths: []  // for calculating average/median
         };
+        
+        // what analyze() counts - see setFilter() for the shape
+        this.filter = this.normalizeFilter({});
+        
+        // how the last fetchGuildMessages() went - { targets, denied, fetched }
+        // lets the CLI tell "no permissions" apart from "nothing there"
+        this.lastFetch = null;
+        
+        // user id → Set of role ids + lowercased role names, for role filters
+        // only filled by loadMemberRoles(), which needs a live connection
+        this.memberRoles = new Map();
+        
+        // last rate limit headers discord sent for a message fetch
+        // request path → { remaining, resetAt }, see trackRateLimit()
+        this.rateLimits = new Map();
     }
     
     // the big function - fetches messages from all accessible channels
@@ -115,12 +165,22 @@ class ActivityAnalyzer {
     // AND they can be overridden per channel. learned this the hard way when
     // the bot would work in some channels but silently fail in others.
     // 
-    // also discord limits message fetches to 100 at a time. if you want more
-    // you have to paginate with the 'before' parameter. didn't implement that
-    // because 100 per channel is usually enough for recent activity analysis.
-    async fetchGuildMessages(guild, limit = 100) {
+    // also discord limits message fetches to 100 at a time, so anything more
+    // pages backwards with the 'before' cursor - see fetchChannelMessages().
+    // `limit` is per channel, `since` (epoch ms) stops at a date instead.
+    // pass limit = Infinity with a since to get everything back to that date
+    // 
+    // with a cache, channels it already has get messages newer than the
+    // last one stored (still capped at `limit` per run), then the cached
+    // history is merged in. if the cache doesn't reach back far enough -
+    // a later --since, or a bigger limit than last time - it backfills
+    // from the oldest stored message too, see backfillChannel()
+    async fetchGuildMessages(guild, limit = 100, { since = null } = {}) {
         log.info(`Fetching messages from ${guild.name}...`);
         log.debug(`Guild ID: ${guild.id}, Member Count: ${guild.memberCount}`);
+        if (since) {
+            log.info(`Going back to ${new Date(since).toLocaleDateString()}`);
+        }
         
         // get bot's member object - needed for permission checks
         // this can fail if the guild isn't fully cached, hence the check
@@ -139,17 +199,51 @@ class ActivityAnalyzer {
         // filter for text channels only
         // isTextBased includes text channels, news channels, threads
         // !isVoiceBased excludes voice channels (which have text chat but we skip those)
-        const channels = guild.channels.cache.filter(c => c.isTextBased() && !c.isVoiceBased());
+        // !isThread because threads in the cache are only the active ones we
+        // happened to see - fetchGuildThreads() gets all of them properly
+        const channels = guild.channels.cache.filter(c => c.isTextBased() && !c.isVoiceBased() && !c.isThread());
         log.info(`Found ${channels.size} text channels`);
         
+        // threads live under their parent channel and aren't in the list above.
+        // that's where most of the long discussions are, so they're worth the extra calls
+        const threads = await this.fetchGuildThreads(guild, botMember, since);
+        log.info(`Found ${threads.size} threads and forum posts`);
+        
+        const targets = new Map([...channels, ...threads]);
+        
+        // what we already have on disk - cursors is channel/thread id → what's stored for it
+        let cached = { messages: [], cursors: new Map() };
+        if (this.cache) {
+            cached = await this.cache.load(guild.id);
+            if (cached.messages.length > 0) {
+                log.info(`Loaded ${cached.messages.length} cached messages, fetching only what's missing`);
+            }
+        }
+        const startLength = this.messages.length;
+        
         let totalFetched = 0;
         let successfulChannels = 0;
+        let denied = 0;  // channels/threads we weren't allowed to read
         let errors = [];  // track which channels failed and why
         
+        // watch discord's rate limit headers while we page through history
+        // discord.js queues around 429s on its own, but it does it silently -
+        // with thousands of pages the user deserves to know why it stalled
+        const rest = guild.client.rest;
+        const onResponse = (request, response) => this.trackRateLimit(request, response);
+        // a 429 (or discord.js holding a request back) stalls the whole fetch,
+        // so it goes on the progress line, not just in debug output
+        const onRateLimited = (info) => {
+            log.progress(`Rate limited by Discord${info.global ? ' (global)' : ''}, retrying in ${(info.timeToReset / 1000).toFixed(1)}s...`.padEnd(78));
+            log.debug(`Rate limited on ${info.route}, retrying in ${(info.timeToReset / 1000).toFixed(1)}s`);
+        };
+        rest.on('response', onResponse);
+        rest.on('rateLimited', onRateLimited);
+        
         // iterate each channel and try to fetch messages
         // can't parallelize this too much or we hit rate limits
         // tried Promise.all() and got 429s constantly, so back to sequential
-        for (const [channelId, channel] of channels) {
+        for (const [channelId, channel] of targets) {
             try {
                 // check permissions for THIS specific channel
                 // this is the gotcha - guild perms don't matter if channel overrides them
@@ -159,6 +253,7 @@ class ActivityAnalyzer {
                     // shouldn't happen but i've seen it in weird edge cases
                     log.debug(`No permissions object for #${channel.name}`);
                     errors.push(`#${channel.name}: No permissions`);
+                    denied++;
                     continue;
                 }
                 
@@ -173,55 +268,38 @@ class ActivityAnalyzer {
                 if (!canView || !canRead) {
                     // skip and track why for the error report at the end
                     errors.push(`#${channel.name}: Missing ${!canView ? 'ViewChannel' : 'ReadMessageHistory'} permission`);
+                    denied++;
                     continue;
                 }
                 
-                // show progress - important for large servers with lots of channels
-                // \r makes it overwrite the same line instead of spamming the console
-                log.progress(`Fetching from #${channel.name}... (${totalFetched} total)`);
-                
                 // actually fetch messages from discord
                 // wrapped in try/catch because this can fail for various reasons:
                 // - channel was deleted mid-fetch
                 // - permissions changed mid-fetch
-                // - rate limit (shouldn't happen with sequential but just in case)
-                let messages;
+                // whatever pages came back before the failure are kept
+                const before = this.messages.length;
                 try {
-                    // discord limits to 100 per request, so we cap at that
-                    // could implement pagination but it's slow and 100 is usually enough
-                    messages = await channel.messages.fetch({ limit: Math.min(limit, 100) });
-                    log.debug(`Fetched ${messages.size} messages from #${channel.name}`);
+                    const stored = cached.cursors.get(channel.id);
+                    const result = await this.fetchChannelMessages(channel, limit, since, stored ? stored.newest : null);
+                    
+                    if (stored) {
+                        const older = await this.backfillChannel(channel, stored, limit - result.fetched, since);
+                        result.fetched += older.fetched;
+                        result.pages += older.pages;
+                    }
+                    log.debug(`Fetched ${result.fetched} messages from #${channel.name} in ${result.pages} pages`);
+                    
+                    if (result.fetched > 0) {
+                        successfulChannels++;
+                    }
                 } catch (fetchError) {
                     log.debug(`Fetch error in #${channel.name}: ${fetchError.message}`);
                     errors.push(`#${channel.name}: ${fetchError.message}`);
-                    continue;
-                }
-                
-                if (messages.size > 0) {
-                    successfulChannels++;
-                }
-                
-                // process each message and extract what we need
-                // storing minimal data instead of full Message objects to save memory
-                for (const [msgId, msg] of messages) {
-                    // filter out bots - they skew the stats and aren't real activity
-                    // originally included them and the charts were dominated by webhook spam
-                    if (msg.author.bot) continue;
-                    
-                    this.messages.push({
-                        id: msg.id,
-                        content: msg.content || '',  // can be empty for attachment-only messages
-                        authorId: msg.author.id,
-                        // author.tag is deprecated but some bots don't have username yet
-                        authorTag: msg.author.tag || msg.author.username,
-                        channelId: channel.id,
-                        channelName: channel.name,
-                        timestamp: msg.createdTimestamp,  // epoch ms, easier to work with than Date
-                        attachments: msg.attachments.size,
-                        embeds: msg.embeds.length
-                    });
                     
-                    totalFetched++;
+                    // 403 = an override we couldn't see from the permission check
+                    if (fetchError.status === 403) denied++;
+                } finally {
+                    totalFetched += this.messages.length - before;
                 }
                 
             } catch (error) {
@@ -231,9 +309,32 @@ class ActivityAnalyzer {
             }
         }
         
-        console.log(''); // newline after the progress indicator
+        // don't leave listeners behind if the analyzer gets reused for another guild
+        // (every error in the loop is caught per channel, so we always get here)
+        rest.off('response', onResponse);
+        rest.off('rateLimited', onRateLimited);
+        
+        this.lastFetch = { targets: targets.size, denied, fetched: totalFetched };
+        
+        log.progressDone();
+        
+        // save the new ones, then fold the cached history in
+        // a failed write shouldn't throw away a run's worth of fetching, so just warn
+        if (this.cache) {
+            try {
+                await this.cache.append(guild, this.messages.slice(startLength));
+            } catch (error) {
+                log.warn(`Could not update the message cache: ${error.message}`);
+            }
+            this.messages = this.messages.concat(cached.messages);
+        }
+        
+        // cached messages (and forward fetches) can be older than --since
+        if (since) {
+            this.messages = this.messages.filter(m => m.timestamp >= since);
+        }
         
-        log.success(`Fetched ${totalFetched} messages from ${successfulChannels}/${channels.size} channels`);
+        log.success(`Fetched ${totalFetched} messages from ${successfulChannels}/${targets.size} channels and threads`);
         
         // if debug mode is on, show which channels failed and why
         // super useful when troubleshooting permission issues
@@ -245,27 +346,358 @@ class ActivityAnalyzer {
         // if we got literally nothing, help the user figure out why
         // this was born from frustration when testing - spent 20 minutes wondering
         // why nothing was showing until i realized i forgot to enable message content intent
-        if (totalFetched === 0) {
+        if (totalFetched === 0 && cached.messages.length === 0) {
             log.warn('No messages were fetched. Possible reasons:');
             log.warn('  1. Bot lacks "Read Message History" permission');
             log.warn('  2. Channels are empty or have no recent messages');
-            log.warn('  3. All messages are from bots (which are filtered)');
             log.warn('\nBot Permission Check:');
             log.warn('  Required permissions: VIEW_CHANNEL, READ_MESSAGE_HISTORY');
             log.warn('  Invite link with proper permissions:');
             // 68608 = READ_MESSAGE_HISTORY + VIEW_CHANNEL in decimal
-            console.log(`  https://discord.com/api/oauth2/authorize?client_id=${guild.client.user.id}&permissions=68608&scope=bot`);
+            if (!config.quiet) console.log(`  https://discord.com/api/oauth2/authorize?client_id=${guild.client.user.id}&permissions=68608&scope=bot`);
+        }
+        
+        return this.messages;
+    }
+    
+    // every thread we can read in the guild, id → ThreadChannel
+    // 
+    // active threads come from one guild-wide call. archived ones have to be
+    // listed per parent channel, 100 at a time, most recently archived first.
+    // forum posts are just threads with a forum parent, so they come along too.
+    // only public archives - private ones need Manage Threads, which we don't ask for
+    async fetchGuildThreads(guild, botMember, since = null) {
+        const threads = new Map();
+        
+        try {
+            const active = await guild.channels.fetchActiveThreads();
+            for (const [threadId, thread] of active.threads) {
+                threads.set(threadId, thread);
+            }
+        } catch (error) {
+            log.debug(`Could not fetch active threads: ${error.message}`);
         }
         
+        // anything with a thread manager can have archived threads -
+        // text, announcement and forum channels
+        const parents = guild.channels.cache.filter(c => c.threads && !c.isThread());
+        
+        for (const [parentId, parent] of parents) {
+            // listing archived threads needs ReadMessageHistory on the parent
+            const perms = parent.permissionsFor(botMember);
+            if (!perms || !perms.has(PermissionFlagsBits.ViewChannel) || !perms.has(PermissionFlagsBits.ReadMessageHistory)) {
+                continue;
+            }
+            
+            let before;  // archive timestamp cursor, undefined = most recent
+            let hasMore = true;
+            
+            while (hasMore) {
+                log.progress(`Listing archived threads in #${parent.name}... (${threads.size} threads)`.padEnd(78));
+                
+                let page;
+                try {
+                    page = await parent.threads.fetchArchived({ type: 'public', before, limit: 100 });
+                } catch (error) {
+                    log.debug(`Could not list archived threads in #${parent.name}: ${error.message}`);
+                    break;
+                }
+                
+                let oldest = null;
+                for (const [threadId, thread] of page.threads) {
+                    if (!oldest || thread.archiveTimestamp < oldest.archiveTimestamp) {
+                        oldest = thread;
+                    }
+                    
+                    // archived before the cutoff means every message in it is older too
+                    if (since && thread.archiveTimestamp < since) continue;
+                    threads.set(threadId, thread);
+                }
+                
+                // same idea as the cutoff above - everything past here was archived even earlier
+                hasMore = page.hasMore && oldest !== null && !(since && oldest.archiveTimestamp < since);
+                before = oldest && oldest.archiveTimestamp;
+            }
+        }
+        
+        if (parents.size > 0) log.progressDone();
+        
+        return threads;
+    }
+    
+    // offline version of fetchGuildMessages - everything comes from the cache
+    async loadFromCache(guildId, { since = null } = {}) {
+        if (!this.cache) {
+            throw new Error('No message cache configured');
+        }
+        
+        const { messages } = await this.cache.load(guildId);
+        const kept = since ? messages.filter(m => m.timestamp >= since) : messages;
+        this.messages = this.messages.concat(kept);
+        
+        log.success(`Loaded ${kept.length} messages from the cache`);
         return this.messages;
     }
     
+    // page through one channel's history
+    // 
+    // normally backwards from the newest message: each request asks for the
+    // 100 before the oldest one we've seen, until we have `limit`, pass `since`,
+    // or run out of history.
+    // with `after` (the newest id the cache has) it goes forwards instead,
+    // 100 after the newest we've seen, until it catches up to now.
+    // `before` starts the backwards walk further back than the newest message
+    // returns { fetched, pages } - fetched counts everything discord sent,
+    // including anything past the cutoff, so `limit` means API work
+    async fetchChannelMessages(channel, limit, since = null, after = null, before = null) {
+        // thread messages count toward the parent channel, with the thread kept
+        // alongside for the breakdown. a thread whose parent isn't cached just
+        // counts as its own channel
+        const parent = channel.isThread() ? channel.parent : null;
+        const label = parent ? `#${parent.name} › ${channel.name}` : `#${channel.name}`;
+        
+        let cursor = after || before || undefined;  // undefined = start from the newest message
+        let fetched = 0;
+        let pages = 0;
+        
+        while (fetched < limit) {
+            await this.waitForRateLimit(channel);
+            
+            const pageSize = Math.min(limit - fetched, config.pageSize);
+            
+            // cache: false - we copy out what we need, no point filling
+            // discord.js's message cache with months of history
+            const page = await channel.messages.fetch(after
+                ? { limit: pageSize, after: cursor, cache: false }
+                : { limit: pageSize, before: cursor, cache: false });
+            if (page.size === 0) break;
+            
+            fetched += page.size;
+            pages++;
+            
+            let reachedCutoff = false;
+            let oldest = null;
+            let newest = null;
+            
+            // process each message and extract what we need
+            // storing minimal data instead of full Message objects to save memory
+            for (const [msgId, msg] of page) {
+                if (!oldest || msg.createdTimestamp < oldest.createdTimestamp) {
+                    oldest = msg;
+                }
+                if (!newest || msg.createdTimestamp > newest.createdTimestamp) {
+                    newest = msg;
+                }
+                
+                // past the cutoff - the rest of history is older still
+                // (going forwards there's no cutoff, it all goes in the cache)
+                if (!after && since && msg.createdTimestamp < since) {
+                    reachedCutoff = true;
+                    continue;
+                }
+                
+                // bots are kept but flagged - they skew the stats and aren't real
+                // activity, so analyze() leaves them out unless the filter asks.
+                // (used to drop them right here, which made that impossible)
+                this.messages.push({
+                    id: msg.id,
+                    content: msg.content || '',  // can be empty for attachment-only messages
+                    authorId: msg.author.id,
+                    // author.tag is deprecated but some bots don't have username yet
+                    authorTag: msg.author.tag || msg.author.username,
+                    authorName: msg.author.username,  // for --user, tags can still have a #1234 on them
+                    bot: msg.author.bot,  // webhooks count as bots too
+                    channelId: (parent || channel).id,
+                    channelName: (parent || channel).name,
+                    threadId: parent ? channel.id : null,
+                    threadName: parent ? channel.name : null,
+                    timestamp: msg.createdTimestamp,  // epoch ms, easier to work with than Date
+                    attachments: msg.attachments.size,
+                    embeds: msg.embeds.length
+                });
+            }
+            
+            // show progress - important for large channels, this can be hundreds of pages
+            // \r makes it overwrite the same line instead of spamming the console
+            // (padded so a shorter line doesn't leave junk from the last one)
+            const target = Number.isFinite(limit) ? `/${limit}` : '';
+            if (after) {
+                log.progress(`Updating ${label}: ${fetched}${target} new messages, up to ${new Date(newest.createdTimestamp).toLocaleDateString()}`.padEnd(78));
+            } else {
+                log.progress(`Fetching ${label}: ${fetched}${target} messages, back to ${new Date(oldest.createdTimestamp).toLocaleDateString()}`.padEnd(78));
+            }
+            
+            // a short page means we hit the start of the channel (or caught up)
+            if (reachedCutoff || page.size < pageSize) break;
+            
+            cursor = after ? newest.id : oldest.id;
+        }
+        
+        return { fetched, pages };
+    }
+    
+    // fetch what's older than the cache for a channel it already has
+    // stored = { newest, oldest, oldestAt, count } from MessageCache.load()
+    // 
+    // with a since, anything between it and the oldest stored message is missing.
+    // without one, the newest `limit` messages should all be there - if the cache
+    // has fewer, the rest are older than what it has.
+    // budget is what's left of this run's `limit` after the forward fetch.
+    // a channel whose whole history is cached still costs one empty request here,
+    // the cache can't tell "reached the start" from "stopped at the limit"
+    async backfillChannel(channel, stored, budget, since = null) {
+        const missing = since
+            ? stored.oldestAt > since
+            : stored.count < budget;
+        if (!missing || budget <= 0) return { fetched: 0, pages: 0 };
+        
+        const wanted = since ? budget : budget - stored.count;
+        log.debug(`Backfilling #${channel.name} from message ${stored.oldest}`);
+        
+        return this.fetchChannelMessages(channel, wanted, since, null, stored.oldest);
+    }
+    
+    // remember the rate limit headers from each message fetch
+    // x-ratelimit-remaining = requests left in this bucket
+    // x-ratelimit-reset-after = seconds until it refills
+    // keyed by request.path (/channels/123/messages) - request.route is the generalized
+    // /channels/:id/messages, which would lump every channel together
+    trackRateLimit(request, response) {
+        const remaining = response.headers.get('x-ratelimit-remaining');
+        const resetAfter = response.headers.get('x-ratelimit-reset-after');
+        if (remaining === null || resetAfter === null) return;
+        
+        this.rateLimits.set(request.path, {
+            remaining: parseInt(remaining),
+            resetAt: Date.now() + parseFloat(resetAfter) * 1000
+        });
+    }
+    
+    // if the last fetch for this channel used up the bucket, sit out the reset
+    // ourselves instead of firing a request we know will get queued
+    async waitForRateLimit(channel) {
+        const bucket = this.rateLimits.get(`/channels/${channel.id}/messages`);
+        if (!bucket || bucket.remaining > 0) return;
+        
+        const wait = bucket.resetAt - Date.now();
+        if (wait <= 0) return;
+        
+        log.progress(`Rate limited on #${channel.name}, waiting ${(wait / 1000).toFixed(1)}s...`.padEnd(78));
+        await new Promise(resolve => setTimeout(resolve, wait));
+    }
+    
+    // set what analyze() and the export count. every field is optional:
+    // {
+    //   from, to                  - epoch ms, both inclusive
+    //   channels, excludeChannels - names or ids. thread messages match on the
+    //                               thread or its parent, so #incidents includes its threads
+    //   users, excludeUsers       - ids, tags or usernames
+    //   roles, excludeRoles       - names or ids, needs loadMemberRoles() first
+    //   includeBots               - false by default, same as always
+    // }
+    // "include" lists are "any of these", excludes win over includes
+    setFilter(spec = {}) {
+        this.filter = this.normalizeFilter(spec);
+        
+        const hasRoles = this.filter.roles.size > 0 || this.filter.excludeRoles.size > 0;
+        if (hasRoles && this.memberRoles.size === 0) {
+            log.warn('Role filters are set but no member roles are loaded - nobody will match a role');
+        }
+    }
+    
+    // lists → Sets of lowercased keys, so matching doesn't care how people typed them
+    // strips the # and @ people put in front of channel and user names out of habit
+    normalizeFilter(spec) {
+        const toSet = (list) => new Set((list || []).map(v => String(v).toLowerCase().replace(/^[#@]/, '')));
+        
+        return {
+            from: spec.from || null,
+            to: spec.to || null,
+            channels: toSet(spec.channels),
+            excludeChannels: toSet(spec.excludeChannels),
+            users: toSet(spec.users),
+            excludeUsers: toSet(spec.excludeUsers),
+            roles: toSet(spec.roles),
+            excludeRoles: toSet(spec.excludeRoles),
+            includeBots: Boolean(spec.includeBots)
+        };
+    }
+    
+    // everybody's roles, by id and by name, so role filters can be checked per message
+    // messages don't carry roles, and members who left since have none - they
+    // won't match an include and can't match an exclude
+    async loadMemberRoles(guild) {
+        log.info('Fetching members for role filters...');
+        const members = await guild.members.fetch();
+        
+        for (const [memberId, member] of members) {
+            const roles = new Set();
+            for (const [roleId, role] of member.roles.cache) {
+                roles.add(roleId);
+                roles.add(role.name.toLowerCase());
+            }
+            this.memberRoles.set(memberId, roles);
+        }
+        
+        log.debug(`Loaded roles for ${this.memberRoles.size} members`);
+    }
+    
+    // does this message pass the current filter?
+    matchesFilter(msg) {
+        const filter = this.filter;
+        
+        if (msg.bot && !filter.includeBots) return false;
+        if (filter.from && msg.timestamp < filter.from) return false;
+        if (filter.to && msg.timestamp > filter.to) return false;
+        
+        const channelKeys = [msg.channelId, msg.channelName, msg.threadId, msg.threadName]
+            .filter(Boolean)
+            .map(k => k.toLowerCase());
+        if (filter.channels.size > 0 && !channelKeys.some(k => filter.channels.has(k))) return false;
+        if (channelKeys.some(k => filter.excludeChannels.has(k))) return false;
+        
+        // authorName is missing from records cached before it was stored
+        const userKeys = [msg.authorId, msg.authorTag, msg.authorName]
+            .filter(Boolean)
+            .map(k => k.toLowerCase());
+        if (filter.users.size > 0 && !userKeys.some(k => filter.users.has(k))) return false;
+        if (userKeys.some(k => filter.excludeUsers.has(k))) return false;
+        
+        if (filter.roles.size > 0 || filter.excludeRoles.size > 0) {
+            const roles = this.memberRoles.get(msg.authorId) || new Set();
+            if (filter.roles.size > 0 && ![...filter.roles].some(r => roles.has(r))) return false;
+            if ([...filter.excludeRoles].some(r => roles.has(r))) return false;
+        }
+        
+        return true;
+    }
+    
+    // one line summary of the filter for the dashboard and export, '' when there isn't one
+    describeFilter() {
+        const filter = this.filter;
+        const parts = [];
+        const list = (set) => [...set].join(', ');
+        
+        if (filter.from) parts.push(`from ${new Date(filter.from).toLocaleDateString()}`);
+        if (filter.to) parts.push(`to ${new Date(filter.to).toLocaleDateString()}`);
+        if (filter.channels.size > 0) parts.push(`in ${list(filter.channels)}`);
+        if (filter.excludeChannels.size > 0) parts.push(`not in ${list(filter.excludeChannels)}`);
+        if (filter.users.size > 0) parts.push(`by ${list(filter.users)}`);
+        if (filter.excludeUsers.size > 0) parts.push(`not by ${list(filter.excludeUsers)}`);
+        if (filter.roles.size > 0) parts.push(`roles ${list(filter.roles)}`);
+        if (filter.excludeRoles.size > 0) parts.push(`not roles ${list(filter.excludeRoles)}`);
+        if (filter.includeBots) parts.push('bots included');
+        
+        return parts.join('; ');
+    }
+    
     // crunch the numbers on all the messages we collected
     // 
     // separated this from fetching because:
     // 1. clean separation of concerns (fetch vs analyze)
     // 2. could fetch from multiple guilds then analyze together
     // 3. easier to test - can feed it mock data
+    // 4. the filter can change without refetching anything
     // 
     // returns bool so the CLI knows whether to show the dashboard or troubleshooting
     analyze() {
@@ -274,13 +706,26 @@ class ActivityAnalyzer {
             return false;
         }
         
-        log.info(`Analyzing ${this.messages.length} messages...`);
+        const messages = this.messages.filter(msg => this.matchesFilter(msg));
+        const filterText = this.describeFilter();
+        
+        if (messages.length === 0) {
+            log.error(`None of the ${this.messages.length} messages match the filter${filterText ? ` (${filterText})` : ''}`);
+            return false;
+        }
+        
+        log.info(`Analyzing ${messages.length} of ${this.messages.length} messages...`);
         
         // single pass through all messages to build all stats
         // could do multiple passes but that's wasteful when dealing with thousands of messages
-        for (const msg of this.messages) {
+        for (const msg of messages) {
             this.stats.totalMessages++;
             
+            // date range - tracked here because Math.min(...timestamps) blows
+            // the call stack once there are a few hundred thousand of them
+            if (this.stats.oldest === null || msg.timestamp < this.stats.oldest) this.stats.oldest = msg.timestamp;
+            if (this.stats.newest === null || msg.timestamp > this.stats.newest) this.stats.newest = msg.timestamp;
+            
             // Set automatically handles deduplication
             this.stats.uniqueUsers.add(msg.authorId);
             
@@ -289,6 +734,15 @@ class ActivityAnalyzer {
             const channelCount = this.stats.channelActivity.get(msg.channelName) || 0;
             this.stats.channelActivity.set(msg.channelName, channelCount + 1);
             
+            // thread breakdown - keyed by id since thread names repeat a lot
+            // ("bug report" in three different forums)
+            if (msg.threadId) {
+                const thread = this.stats.threadActivity.get(msg.threadId)
+                    || { name: msg.threadName, channelName: msg.channelName, count: 0 };
+                thread.count++;
+                this.stats.threadActivity.set(msg.threadId, thread);
+            }
+            
             // user activity tracking - using tag instead of id for readable display
             const userKey = msg.authorTag;
             const userCount = this.stats.userActivity.get(userKey) || 0;
@@ -343,6 +797,7 @@ class ActivityAnalyzer {
         
         this.displayOverview();
         this.displayChannelActivity();
+        this.displayThreadActivity();
         this.displayTopUsers();
         this.displayHourlyHeatmap();
         this.displayMessageStats();
@@ -358,7 +813,13 @@ class ActivityAnalyzer {
         console.log(`Total Messages:    ${this.stats.totalMessages.toLocaleString()}`);
         console.log(`Unique Users:      ${this.stats.uniqueUsers.size}`);
         console.log(`Active Channels:   ${this.stats.channelActivity.size}`);
+        console.log(`Active Threads:    ${this.stats.threadActivity.size}`);
         console.log(`Date Range:        ${this.getDateRange()}`);
+        
+        const filterText = this.describeFilter();
+        if (filterText) {
+            console.log(`Filter:            ${filterText}`);
+        }
     }
     
     // horizontal bar chart showing channel activity
@@ -387,6 +848,15 @@ class ActivityAnalyzer {
         // find the max for normalization
         const maxCount = sorted[0][1];
         
+        // how much of each channel's count happened in its threads
+        const threadTotals = new Map();
+        for (const thread of this.stats.threadActivity.values()) {
+            const totals = threadTotals.get(thread.channelName) || { count: 0, threads: 0 };
+            totals.count += thread.count;
+            totals.threads++;
+            threadTotals.set(thread.channelName, totals);
+        }
+        
         for (const [channel, count] of sorted) {
             // calculate bar length proportional to max
             const barLength = Math.floor((count / maxCount) * config.chartWidth);
@@ -394,8 +864,35 @@ class ActivityAnalyzer {
             const bar = '█'.repeat(barLength) || '▏';
             const percentage = ((count / this.stats.totalMessages) * 100).toFixed(1);
             
+            const totals = threadTotals.get(channel);
+            const inThreads = totals ? `, ${totals.count} in ${totals.threads} thread${totals.threads === 1 ? '' : 's'}` : '';
+            
             // padEnd aligns everything nicely in columns
-            console.log(`${channel.padEnd(20)} ${bar} ${count} (${percentage}%)`);
+            console.log(`${channel.padEnd(20)} ${bar} ${count} (${percentage}%${inThreads})`);
+        }
+    }
+    
+    // busiest threads and forum posts, with the channel they live in
+    // skipped entirely when nothing was in a thread - an empty section is just noise
+    displayThreadActivity() {
+        if (this.stats.threadActivity.size === 0) return;
+        
+        console.log('\n🧵 THREAD ACTIVITY');
+        console.log('-'.repeat(80));
+        
+        const sorted = Array.from(this.stats.threadActivity.values())
+            .sort((a, b) => b.count - a.count)
+            .slice(0, 10);
+        
+        const maxCount = sorted[0].count;
+        
+        for (const thread of sorted) {
+            const barLength = Math.floor((thread.count / maxCount) * (config.chartWidth - 10));
+            const bar = '█'.repeat(barLength) || '▏';
+            
+            // thread titles are often whole sentences, so truncate harder than channels
+            const label = `#${thread.channelName} › ${thread.name}`;
+            console.log(`${label.padEnd(30).slice(0, 30)} ${bar} ${thread.count}`);
         }
     }
     
@@ -510,12 +1007,12 @@ class ActivityAnalyzer {
     
     // helper to show the date range of analyzed messages
     // gives context to the stats - "are these messages from today or last week?"
+    // (of what was counted, so it follows the filter)
     getDateRange() {
-        if (this.messages.length === 0) return 'N/A';
+        if (this.stats.oldest === null) return 'N/A';
         
-        const timestamps = this.messages.map(m => m.timestamp);
-        const oldest = new Date(Math.min(...timestamps));
-        const newest = new Date(Math.max(...timestamps));
+        const oldest = new Date(this.stats.oldest);
+        const newest = new Date(this.stats.newest);
         
         return `${oldest.toLocaleDateString()} - ${newest.toLocaleDateString()}`;
     }
@@ -523,16 +1020,23 @@ class ActivityAnalyzer {
     // export to JSON for further analysis in other tools
     // originally included the full message array but that was huge
     // trimmed to just the aggregated stats
-    async exportToFile(filename) {
+    // 
+    // format 'csv' flattens the same data into section,name,count rows -
+    // easier to get into a spreadsheet than nested JSON
+    async exportToFile(filename, format = 'json') {
         const exportData = {
             generatedAt: new Date().toISOString(),
+            filter: this.describeFilter() || null,
+            dateRange: this.getDateRange(),
             overview: {
                 totalMessages: this.stats.totalMessages,
                 uniqueUsers: this.stats.uniqueUsers.size,
-                activeChannels: this.stats.channelActivity.size
+                activeChannels: this.stats.channelActivity.size,
+                activeThreads: this.stats.threadActivity.size
             },
             // Maps need to be converted to objects for JSON
             channelActivity: Object.fromEntries(this.stats.channelActivity),
+            threadActivity: Object.fromEntries(this.stats.threadActivity),
             topUsers: Object.fromEntries(
                 Array.from(this.stats.userActivity.entries())
                     .sort((a, b) => b[1] - a[1])
@@ -541,9 +1045,156 @@ class ActivityAnalyzer {
             hourlyActivity: this.stats.hourlyActivity
         };
         
-        await fs.writeFile(filename, JSON.stringify(exportData, null, 2));
+        const content = format === 'csv'
+            ? this.toCsv(exportData)
+            : JSON.stringify(exportData, null, 2);
+        
+        await fs.writeFile(filename, content);
         log.success(`Exported statistics to ${filename}`);
     }
+    
+    // export data → CSV text, one row per number
+    toCsv(exportData) {
+        const rows = [
+            ['section', 'name', 'count'],
+            ['meta', 'generatedAt', exportData.generatedAt],
+            ['meta', 'dateRange', exportData.dateRange],
+            ['meta', 'filter', exportData.filter || '']
+        ];
+        
+        for (const [name, count] of Object.entries(exportData.overview)) rows.push(['overview', name, count]);
+        for (const [name, count] of Object.entries(exportData.channelActivity)) rows.push(['channel', name, count]);
+        for (const thread of Object.values(exportData.threadActivity)) {
+            rows.push(['thread', `${thread.channelName} › ${thread.name}`, thread.count]);
+        }
+        for (const [name, count] of Object.entries(exportData.topUsers)) rows.push(['user', name, count]);
+        exportData.hourlyActivity.forEach((count, hour) => rows.push(['hour', hour, count]));
+        
+        // quote everything - channel and user names can have commas and quotes in them
+        const cell = (value) => `"${String(value).replace(/"/g, '""')}"`;
+        return rows.map(row => row.map(cell).join(',')).join('\n') + '\n';
+    }
+}
+
+/**
+ * MessageCache - local history so we stop refetching everything
+ * 
+ * every run used to pull the whole history from discord again and throw it
+ * away at the end, which made long-term trends basically impossible (and
+ * hammered the API). now fetched messages get appended to
+ * <cacheDir>/<guildId>.ndjson, one JSON object per line, and the next run
+ * only asks discord for what came after the newest stored message per channel.
+ * 
+ * why NDJSON instead of sqlite?
+ * - no native module to build, same as the rest of this
+ * - appending is just appendFile. a crash mid-write cuts off at most the
+ *   last line, and load() skips lines that don't parse
+ * - you can still grep / jq it when you want to poke at the raw data
+ * 
+ * records are exactly what the analyzer keeps in this.messages. the cursor
+ * key is where a message was fetched from - the thread for thread messages,
+ * the channel otherwise - since that's what the next fetch pages through.
+ * guilds.json next to the files remembers server names for --offline
+ */
+class MessageCache {
+    constructor(dir = config.cacheDir) {
+        this.dir = dir;
+        this.indexFile = path.join(dir, 'guilds.json');
+    }
+    
+    getFile(guildId) {
+        return path.join(this.dir, `${guildId}.ndjson`);
+    }
+    
+    // everything stored for a guild, plus the newest and oldest message id per channel/thread
+    // streams the file line by line - after a few months it's way too big
+    // to read into one string
+    async load(guildId) {
+        const messages = [];
+        const cursors = new Map();  // channel or thread id → { newest, oldest, oldestAt, count }
+        const seen = new Set();  // a retried append can leave duplicates behind
+        const file = this.getFile(guildId);
+        
+        try {
+            await fs.access(file);
+        } catch (error) {
+            return { messages, cursors };  // nothing cached yet
+        }
+        
+        const lines = readline.createInterface({ input: createReadStream(file), crlfDelay: Infinity });
+        let skipped = 0;
+        
+        for await (const line of lines) {
+            if (!line.trim()) continue;
+            
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch (error) {
+                skipped++;  // half-written line from a crash
+                continue;
+            }
+            
+            // valid json but not one of ours - without numeric ids there's no
+            // cursor to key it by, and BigInt() throws on anything else
+            if (!record || !/^\d+$/.test(record.id) || !/^\d+$/.test(record.channelId)) {
+                skipped++;
+                continue;
+            }
+            
+            if (seen.has(record.id)) continue;
+            seen.add(record.id);
+            messages.push(record);
+            
+            // snowflakes are bigger than a safe integer, so compare as BigInt.
+            // they're time-ordered, so the biggest id is the newest message
+            const key = record.threadId || record.channelId;
+            const cursor = cursors.get(key);
+            if (!cursor) {
+                cursors.set(key, { newest: record.id, oldest: record.id, oldestAt: record.timestamp, count: 1 });
+                continue;
+            }
+            
+            cursor.count++;
+            if (BigInt(record.id) > BigInt(cursor.newest)) {
+                cursor.newest = record.id;
+            }
+            if (BigInt(record.id) < BigInt(cursor.oldest)) {
+                cursor.oldest = record.id;
+                cursor.oldestAt = record.timestamp;
+            }
+        }
+        
+        if (skipped > 0) {
+            log.warn(`Skipped ${skipped} unreadable lines in ${file}`);
+        }
+        
+        return { messages, cursors };
+    }
+    
+    // add newly fetched records to the guild's file and bump its index entry
+    async append(guild, records) {
+        await fs.mkdir(this.dir, { recursive: true });
+        
+        if (records.length > 0) {
+            await fs.appendFile(this.getFile(guild.id), records.map(r => JSON.stringify(r)).join('\n') + '\n');
+            log.debug(`Cached ${records.length} new messages for ${guild.name}`);
+        }
+        
+        const index = await this.listGuilds();
+        index[guild.id] = { name: guild.name, updatedAt: new Date().toISOString() };
+        await fs.writeFile(this.indexFile, JSON.stringify(index, null, 2));
+    }
+    
+    // guild id → { name, updatedAt } for every guild with a cache file
+    async listGuilds() {
+        try {
+            return JSON.parse(await fs.readFile(this.indexFile, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return {};
+            throw error;
+        }
+    }
 }
 
 /**
@@ -562,12 +1213,23 @@ class ActivityAnalyzer {
  * 3. passes selected server to analyzer
  * 4. cleans up and exits
  * 
+ * everything it asks can also come from arguments (see parseArgs), and it only
+ * prompts for what's missing - and only when there's a terminal to ask on, so
+ * it runs fine from cron with --guild and --export
+ * 
  * readline is surprisingly tricky to work with. had issues with the
  * interface not closing properly and the process hanging. that's why
  * there's explicit cleanup everywhere.
  */
 class ActivityCLI {
-    constructor() {
+    // options come from parseArgs():
+    // guild, limit, since, export, format, offline, and filter (raw, see buildFilter())
+    constructor(options = {}) {
+        this.options = options;
+        
+        // stdin piped or closed (cron, CI) - never prompt, use defaults or bail
+        this.interactive = Boolean(process.stdin.isTTY);
+        
         // discord client with all the intents we need
         // MessageContent is required to read message text (added in 2022)
         // GuildMembers for getting accurate member counts
@@ -580,7 +1242,9 @@ class ActivityCLI {
             ]
         });
         
-        this.analyzer = new ActivityAnalyzer();
+        // offline mode is nothing but the cache, so it's on there regardless
+        const useCache = config.cacheEnabled || options.offline;
+        this.analyzer = new ActivityAnalyzer({ cache: useCache ? new MessageCache() : null });
         
         // readline for getting user input
         // stdio because we're reading from console
@@ -596,6 +1260,12 @@ class ActivityCLI {
     // for a CLI tool. we need to await login() AND wait for the ready event
     // before we can do anything. that's what the promise stuff handles.
     async initialize() {
+        // nothing to connect to - everything comes from the cache
+        if (this.options.offline) {
+            log.info('Offline mode - reading from the local message cache');
+            return;
+        }
+        
         log.info('Logging into Discord...');
         
         // setup ready handler before login so we don't miss the event
@@ -628,26 +1298,211 @@ class ActivityCLI {
                 log.error('Required: MESSAGE CONTENT INTENT, SERVER MEMBERS INTENT');
             }
             
-            process.exit(1);
+            process.exit(EXIT_CODES.LOGIN_FAILED);
         }
     }
     
     // main CLI flow - show servers, get selection, analyze, export
     async start() {
-        console.log(`
+        if (!config.quiet) {
+            console.log(`
 ╔════════════════════════════════════════╗
 ║  ActivityDash v1.0.0                   ║
 ║  Discord Activity Analyzer             ║
 ╚════════════════════════════════════════╝
         `);
+        }
+        
+        // offline there's no bot to ask, so it's the servers we have cache files for
+        const guildArray = this.options.offline
+            ? await this.listCachedGuilds()
+            : await this.listGuilds();
+        
+        let selectedGuild;
+        if (this.options.guild) {
+            selectedGuild = this.findGuild(guildArray, this.options.guild);
+        } else if (!this.interactive) {
+            log.error('No --guild given and no terminal to ask on');
+        } else {
+            this.printGuilds(guildArray);
+            
+            // get user's selection
+            const selection = await this.prompt('\nSelect server number (or "q" to quit): ');
+            
+            if (selection.toLowerCase() === 'q') {
+                await this.cleanup();
+                return;
+            }
+            
+            // parse selection as 1-indexed (humans count from 1)
+            selectedGuild = guildArray[parseInt(selection) - 1];
+            if (!selectedGuild) {
+                log.error('Invalid selection');
+            }
+        }
+        
+        if (!selectedGuild) {
+            await this.cleanup(EXIT_CODES.USAGE);
+            return;
+        }
+        
+        // --since swaps the default limit for "everything back to that date"
+        // same local-day reading as --from, so the two agree on where a day starts
+        let since = null;
+        if (this.options.since) {
+            since = parseDate(this.options.since);
+            if (isNaN(since)) {
+                log.error(`Invalid --since date "${this.options.since}", use YYYY-MM-DD or 7d`);
+                await this.cleanup(EXIT_CODES.USAGE);
+                return;
+            }
+        }
+        
+        const filter = this.buildFilter();
+        if (!filter) {
+            await this.cleanup(EXIT_CODES.USAGE);
+            return;
+        }
+        
+        // roles come from the live member list, there's no cached copy of them
+        const hasRoles = filter.roles.length > 0 || filter.excludeRoles.length > 0;
+        if (hasRoles) {
+            if (this.options.offline) {
+                log.error('Role filters need a connection to discord, they can\'t be used with --offline');
+                await this.cleanup(EXIT_CODES.USAGE);
+                return;
+            }
+            await this.analyzer.loadMemberRoles(selectedGuild);
+        }
+        this.analyzer.setFilter(filter);
+        
+        if (this.options.offline) {
+            // --limit is how much to fetch, and offline fetches nothing. quietly analyzing
+            // the whole cache instead isn't what someone asking for 100 expects
+            if (this.options.limit !== undefined) {
+                log.error('--limit only applies when fetching from discord, it can\'t be used with --offline (try --since or --from)');
+                await this.cleanup(EXIT_CODES.USAGE);
+                return;
+            }
+            await this.analyzer.loadFromCache(selectedGuild.id, { since });
+        } else {
+            // ask how many messages to fetch per channel, unless --limit already said
+            // giving user control because large servers can take a while
+            let limit = this.options.limit;
+            if (limit === undefined) {
+                const defaultLimit = since ? `all since ${this.options.since}` : config.messageLimit;
+                const messageLimit = this.interactive
+                    ? await this.prompt(`Messages per channel (default ${defaultLimit}): `)
+                    : '';
+                limit = parseInt(messageLimit) || (since ? Infinity : config.messageLimit);
+            }
+            
+            // do the actual work - fetch and analyze
+            await this.analyzer.fetchGuildMessages(selectedGuild, limit, { since });
+        }
+        
+        const analyzed = this.analyzer.analyze();
+        
+        if (!analyzed) {
+            // no data - displayDashboard shows troubleshooting info
+            if (!config.quiet) this.analyzer.displayDashboard();
+            
+            // nothing readable at all is a permissions problem, not an empty server
+            const fetchInfo = this.analyzer.lastFetch;
+            const noAccess = fetchInfo && fetchInfo.denied > 0 && fetchInfo.denied === fetchInfo.targets;
+            await this.cleanup(noAccess ? EXIT_CODES.MISSING_PERMISSIONS : EXIT_CODES.NO_DATA);
+            return;
+        }
+        
+        // we have data - show the dashboard
+        if (!config.quiet) this.analyzer.displayDashboard();
+        
+        // --export, or offer to export
+        // useful if they want to process the data further
+        let filename = this.options.export;
+        let format = this.options.format;
+        if (!filename && this.interactive) {
+            format = format || 'json';
+            const shouldExport = await this.prompt(`\nExport to ${format.toUpperCase()}? (y/n): `);
+            if (shouldExport.toLowerCase() === 'y') {
+                filename = `activity_${selectedGuild.id}_${Date.now()}.${format}`;
+            }
+        }
+        
+        if (filename) {
+            // no --format - go by the extension, json unless it says csv
+            await this.analyzer.exportToFile(filename, format || (filename.toLowerCase().endsWith('.csv') ? 'csv' : 'json'));
+        }
+        
+        await this.cleanup();
+    }
+    
+    // --guild can be an id or a name (any case). a name two servers share
+    // is an error rather than a coin flip
+    findGuild(guildArray, query) {
+        const byId = guildArray.find(g => g.id === query);
+        if (byId) return byId;
+        
+        const byName = guildArray.filter(g => g.name.toLowerCase() === query.toLowerCase());
+        if (byName.length === 1) return byName[0];
+        
+        if (byName.length > 1) {
+            log.error(`${byName.length} servers are called "${query}", use the id instead`);
+        } else {
+            log.error(`No server matching "${query}"${this.options.offline ? ' in the cache' : ''}`);
+        }
+        return null;
+    }
+    
+    // the numbered list for the interactive prompt
+    // cached servers show when they were last updated instead of a member count
+    printGuilds(guildArray) {
+        console.log(this.options.offline ? '\nCached Servers:' : '\nAvailable Servers:');
+        
+        guildArray.forEach((guild, index) => {
+            const detail = guild.updatedAt
+                ? `updated ${new Date(guild.updatedAt).toLocaleString()}`
+                : `${guild.memberCount || '?'} members`;
+            console.log(`  ${index + 1}. ${guild.name} (${detail})`);
+        });
+    }
+    
+    // turn the raw --from/--channel/... args into a filter spec for the analyzer
+    // dates go through parseDate(). --to covers its whole day
+    // returns null (after logging why) if a date doesn't parse
+    buildFilter() {
+        const raw = this.options.filter || {};
+        
+        const spec = {
+            channels: raw.channels || [],
+            excludeChannels: raw.excludeChannels || [],
+            users: raw.users || [],
+            excludeUsers: raw.excludeUsers || [],
+            roles: raw.roles || [],
+            excludeRoles: raw.excludeRoles || [],
+            includeBots: Boolean(raw.includeBots)
+        };
         
+        for (const [key, endOfDay] of [['from', false], ['to', true]]) {
+            if (!raw[key]) continue;
+            
+            spec[key] = parseDate(raw[key], endOfDay);
+            if (isNaN(spec[key])) {
+                log.error(`Invalid --${key} date "${raw[key]}", use YYYY-MM-DD or 7d`);
+                return null;
+            }
+        }
+        
+        return spec;
+    }
+    
+    // every server the bot is in, with full data
+    async listGuilds() {
         // fetch all guilds the bot is in
         // the cache might not have full data yet so we force a fetch
         await this.client.guilds.fetch();
         const guilds = this.client.guilds.cache;
         
-        // list available servers with member counts
-        console.log('\nAvailable Servers:');
         const guildArray = [];
         
         for (const [id, guild] of guilds) {
@@ -665,52 +1520,25 @@ class ActivityCLI {
             }
             
             guildArray.push(fullGuild);
-            console.log(`  ${guildArray.length}. ${fullGuild.name} (${fullGuild.memberCount || '?'} members)`);
-        }
-        
-        // get user's selection
-        const selection = await this.prompt('\nSelect server number (or "q" to quit): ');
-        
-        if (selection.toLowerCase() === 'q') {
-            await this.cleanup();
-            return;
         }
         
-        // parse selection as 1-indexed (humans count from 1)
-        const selectedGuild = guildArray[parseInt(selection) - 1];
+        return guildArray;
+    }
+    
+    // same list, but from the cache index - only { id, name, updatedAt } since there's no discord
+    async listCachedGuilds() {
+        const index = await this.analyzer.cache.listGuilds();
+        const guildArray = [];
         
-        if (!selectedGuild) {
-            log.error('Invalid selection');
-            await this.cleanup();
-            return;
+        for (const [id, entry] of Object.entries(index)) {
+            guildArray.push({ id, name: entry.name, updatedAt: entry.updatedAt });
         }
         
-        // ask how many messages to fetch per channel
-        // giving user control because large servers can take a while
-        const messageLimit = await this.prompt(`Messages per channel (default ${config.messageLimit}): `);
-        const limit = parseInt(messageLimit) || config.messageLimit;
-        
-        // do the actual work - fetch and analyze
-        await this.analyzer.fetchGuildMessages(selectedGuild, limit);
-        const analyzed = this.analyzer.analyze();
-        
-        if (analyzed) {
-            // we have data - show the dashboard
-            this.analyzer.displayDashboard();
-            
-            // offer to export as JSON
-            // useful if they want to process the data further
-            const shouldExport = await this.prompt('\nExport to JSON? (y/n): ');
-            if (shouldExport.toLowerCase() === 'y') {
-                const filename = `activity_${selectedGuild.id}_${Date.now()}.json`;
-                await this.analyzer.exportToFile(filename);
-            }
-        } else {
-            // no data - displayDashboard shows troubleshooting info
-            this.analyzer.displayDashboard();
+        if (guildArray.length === 0) {
+            log.warn(`Nothing cached in ${config.cacheDir} yet - run once without --offline first`);
         }
         
-        await this.cleanup();
+        return guildArray;
     }
     
     // helper to prompt user and wait for input
@@ -723,18 +1551,157 @@ class ActivityCLI {
     
     // clean up resources and exit
     // important to close readline and destroy the client or the process hangs
-    async cleanup() {
+    // exitCode is one of EXIT_CODES, so scripts can tell what happened
+    async cleanup(exitCode = EXIT_CODES.OK) {
         this.rl.close();  // close readline interface
         await this.client.destroy();  // disconnect from discord
         log.info('Goodbye!');
-        process.exit(0);
+        process.exit(exitCode);
     }
 }
 
+// every flag the CLI understands
+// value flags take the next argument (or --flag=value), list flags can repeat
+// and take commas ("--channel a --channel b,c"), switches take nothing
+const CLI_FLAGS = {
+    guild: 'value', limit: 'value', since: 'value', export: 'value', format: 'value',
+    from: 'value', to: 'value',
+    channel: 'list', 'exclude-channel': 'list',
+    user: 'list', 'exclude-user': 'list',
+    role: 'list', 'exclude-role': 'list',
+    offline: 'switch', bots: 'switch', quiet: 'switch', help: 'switch'
+};
+
+const USAGE = `
+Usage: node code2.js [options]
+
+  --guild <id|name>        server to analyze (asks if missing)
+  --limit <n|all>          messages per channel (default ${config.messageLimit})
+  --since <date>           fetch back to a date instead of a count (YYYY-MM-DD or 7d)
+  --export <file>          write the stats to a file (asks if missing)
+  --format <json|csv>      export format (default: from the file extension)
+  --quiet                  errors only, no dashboard - for cron and scripts
+  --offline                analyze the local cache, don't connect to discord
+
+  --from, --to <date>      only count messages in this range (YYYY-MM-DD or 7d)
+  --channel, --exclude-channel <names>
+  --user, --exclude-user <names>
+  --role, --exclude-role <names>
+  --bots                   count bot messages too
+
+Exit codes: 0 ok, 1 error, 2 bad arguments, 3 login failed,
+            4 missing permissions, 5 no data
+`;
+
+// a date argument (--since, --from, --to) → epoch ms, NaN if it doesn't parse
+// YYYY-MM-DD or "7d" for 7 days ago. endOfDay = the last moment of that day
+function parseDate(value, endOfDay = false) {
+    const relative = value.match(/^(\d+)d$/);
+    if (relative) {
+        return Date.now() - parseInt(relative[1]) * 86400000;
+    }
+    
+    // plain dates would parse as UTC midnight - read them as local days instead
+    const date = value.match(/^(\d{4})-(\d{2})-(\d{2})$/)
+        ? new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00'}`)
+        : new Date(value);
+    return date.getTime();
+}
+
+// argv (minus node + script) → ActivityCLI options
+// throws on anything it doesn't understand - guessing what a typo meant in a
+// cron job just gets you a silently wrong report
+function parseArgs(argv) {
+    const args = {};
+    
+    for (let i = 0; i < argv.length; i++) {
+        const match = argv[i].match(/^--([a-z-]+)(?:=(.*))?$/);
+        if (!match || !CLI_FLAGS[match[1]]) {
+            throw new Error(`Unknown argument "${argv[i]}"`);
+        }
+        
+        const [, name, inline] = match;
+        const kind = CLI_FLAGS[name];
+        
+        if (kind === 'switch') {
+            args[name] = true;
+            continue;
+        }
+        
+        const value = inline !== undefined ? inline : argv[++i];
+        if (value === undefined || (inline === undefined && value.startsWith('--'))) {
+            throw new Error(`--${name} needs a value`);
+        }
+        
+        if (kind === 'list') {
+            const values = value.split(',').map(v => v.trim()).filter(Boolean);
+            args[name] = (args[name] || []).concat(values);
+        } else {
+            args[name] = value;
+        }
+    }
+    
+    // --limit is a count or "all"
+    let limit;
+    if (args.limit !== undefined) {
+        limit = args.limit.toLowerCase() === 'all' ? Infinity : Number(args.limit);
+        if (!(limit > 0) || (Number.isFinite(limit) && !Number.isInteger(limit))) {
+            throw new Error(`--limit must be a positive number or "all", got "${args.limit}"`);
+        }
+    }
+    
+    const format = args.format ? args.format.toLowerCase() : null;
+    if (format && !['json', 'csv'].includes(format)) {
+        throw new Error(`--format must be json or csv, got "${args.format}"`);
+    }
+    
+    return {
+        help: Boolean(args.help),
+        guild: args.guild || null,
+        limit,
+        since: args.since || null,
+        export: args.export || null,
+        format,
+        quiet: Boolean(args.quiet),
+        offline: Boolean(args.offline),
+        filter: {
+            from: args.from,
+            to: args.to,
+            channels: args.channel || [],
+            excludeChannels: args['exclude-channel'] || [],
+            users: args.user || [],
+            excludeUsers: args['exclude-user'] || [],
+            roles: args.role || [],
+            excludeRoles: args['exclude-role'] || [],
+            includeBots: Boolean(args.bots)
+        }
+    };
+}
+
 // entry point - only runs if this file is executed directly
 // require.main === module is false when imported as a module
 if (require.main === module) {
-    const cli = new ActivityCLI();
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        log.error(error.message);
+        console.error(USAGE);
+        process.exit(EXIT_CODES.USAGE);
+    }
+    
+    if (options.help) {
+        console.log(USAGE);
+        process.exit(EXIT_CODES.OK);
+    }
+    
+    config.quiet = options.quiet;
+    
+    // loaded after the args so --quiet can shut it up too - dotenv logs to stdout,
+    // and that lands in whatever a cron job is capturing
+    require('dotenv').config(options.quiet ? { quiet: true } : { debug: true });
+    
+    const cli = new ActivityCLI(options);
     
     // initialize and start
     // wrapping in catch handles any uncaught errors gracefully
@@ -745,7 +1712,7 @@ if (require.main === module) {
             if (error.stack && config.enableDebug) {
                 console.error(error.stack);
             }
-            process.exit(1);
+            process.exit(EXIT_CODES.ERROR);
         });
     
     // handle ctrl+c gracefully instead of dumping stack trace
@@ -765,4 +1732,4 @@ if (require.main === module) {
     });
 }
 
-module.exports = { ActivityAnalyzer, ActivityCLI };
+module.exports = { ActivityAnalyzer, MessageCache, ActivityCLI, parseArgs, EXIT_CODES };
@@ -13,13 +13,17 @@
  * at specific times. needed something more flexible than cron but simpler
  * than a full calendar system.
  * 
- * three main pieces:
+ * four main pieces:
  * 
  * TimeParser (time interpretation layer)
  *    └→ converts human-friendly strings to actual timestamps
  *    └→ separate class because time parsing is surprisingly complex
  *    └→ supports three schedule patterns (explained below)
  * 
+ * TemplateEngine (message variables)
+ *    └→ fills in {date}, {countdown:...}, {random:a|b} etc at send time
+ *    └→ also checks templates when a schedule is created so typos show up early
+ * 
  * ScheduleManager (core scheduling engine)
  *    └→ stores schedules, runs the check loop, handles execution
  *    └→ uses dual-Map pattern for O(1) channel-based queries
@@ -40,13 +44,22 @@
  * 
  * 'recurring' - fire at the same time repeatedly  
  *    └→ "daily 9am" or "weekly monday 3pm"
- *    └→ after firing: nextRun += interval (24h or 7d)
+ *    └→ also day sets ("weekdays 9am", "mon,wed,fri 3pm") and
+ *       monthly ("monthly 1st 10am", "monthly last friday 4pm")
+ *    └→ after firing: nextRun = next 9am on the wall clock (not +24h, see below)
  *    └→ stays in the map forever until user deletes
  * 
  * 'interval' - fire every N hours/minutes from creation
  *    └→ "every 2 hours" - not tied to clock time
  *    └→ after firing: nextRun = now + intervalMs
  *    └→ drifts slightly with each execution but that's ok
+ *    └→ can be held to active hours: "every 2 hours between 9am and 5pm on weekdays"
+ *       - a run that lands outside them moves to the next time they open
+ * 
+ * recurring and interval schedules can also end on their own:
+ *    └→ "daily 9am for 10 times", "every 2 hours until friday 6pm",
+ *       "weekdays 9am between 2026-11-02 and 2026-11-27"
+ *    └→ once the condition's met check() deletes them, same as a 'once'
  * 
  * tried combining these into one type with flags but the reschedule
  * logic got messy. separate types made the check() function way cleaner.
@@ -80,9 +93,20 @@
  * restarts - you'd need to recreate all timeouts on load.
  * 
  * the polling approach is dumber but way more reliable.
+ * 
+ * === Timezones ===
+ * 
+ * every schedule carries a timezone (IANA name like "Europe/Berlin"):
+ *    └→ explicit on the end of the time: "daily 9am Europe/London"
+ *    └→ otherwise the guild's default (!schedule timezone <zone>)
+ *    └→ otherwise config.timezone
+ * 
+ * recurring times are wall-clock times in that zone. the old version added
+ * 86400000 per day, which is wrong twice a year - DST days are 23 or 25 hours
+ * long, so "daily 9am" drifted to 8am or 10am until someone recreated it.
  */
 
-const { Client, GatewayIntentBits, EmbedBuilder, ChannelType } = require('discord.js');
+const { Client, GatewayIntentBits, EmbedBuilder, ChannelType, PermissionFlagsBits } = require('discord.js');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -93,7 +117,30 @@ const config = {
     checkInterval: 30000,  // 30 sec - explained above why not 60 or 5
     maxSchedulesPerChannel: 20,  // prevents spam, also keeps list command readable
     enableDebug: true,
-    timezone: 'America/New_York'  // not actually used yet but planned for v2
+    timezone: 'America/New_York',  // default for guilds that haven't picked one
+    // what to do with runs missed while the bot was down (see check())
+    // 'skip' drops them, 'fire-once' sends one catch-up, 'fire-all' sends every missed run
+    misfirePolicy: 'fire-once',
+    misfireWindow: 600000,  // 10 min - anything less late than this just fires normally
+    maxCatchUpRuns: 10,  // cap for fire-all so a week offline doesn't dump 2000 messages
+    historySize: 10,  // runs kept per schedule for !schedule history
+    maxConsecutiveFailures: 5,  // then it's paused and the creator gets a DM
+    retryDelay: 60000  // wait 1 min after the 1st failure, 2 after the 2nd, ...
+};
+
+// discord's hard limits for a message. going over any of them gets a 400 at send time,
+// which for a schedule means finding out at 9am tomorrow instead of right now
+const DISCORD_LIMITS = {
+    content: 2000,
+    title: 256,
+    description: 4096,
+    fields: 25,
+    fieldName: 256,
+    fieldValue: 1024,
+    footer: 2048,
+    author: 256,
+    embedTotal: 6000,  // all the text in an embed added up
+    files: 10
 };
 
 // logging helper - same pattern as my other bots
@@ -124,6 +171,18 @@ class ScheduleError extends Error {
     }
 }
 
+// day names in Date.getDay() order, plus the short forms people actually type
+// "mon,wed,fri" is way more common than spelling them all out
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DAY_ALIASES = {
+    sun: 'sunday', mon: 'monday', tue: 'tuesday', tues: 'tuesday', wed: 'wednesday',
+    thu: 'thursday', thur: 'thursday', thurs: 'thursday', fri: 'friday', sat: 'saturday'
+};
+const DAY_PATTERN = '(?:sun|mon|tue|tues|wed|thu|thur|thurs|fri|sat)(?:day|sday|nesday|rsday|urday)?';
+const TIME_PATTERN = '(?:at\\s+)?(\\d{1,2})(?::(\\d{2}))?\\s*(am|pm)?';
+const DAY_SET_PATTERN = `weekdays|weekends|${DAY_PATTERN}(?:\\s*,\\s*${DAY_PATTERN})*`;
+const NTH_WORDS = { first: 1, '1st': 1, second: 2, '2nd': 2, third: 3, '3rd': 3, fourth: 4, '4th': 4, last: -1 };
+
 /**
  * TimeParser - the headache that is time calculation
  * 
@@ -144,10 +203,250 @@ class ScheduleError extends Error {
  * - "today 3pm" when it's already 5pm (should roll to tomorrow)
  */
 class TimeParser {
-    // main parse function - tries patterns in order of specificity
+    // main parse function - peels off the optional extras, then hands the
+    // actual time expression to parseExpression()
     // returns object with schedule type metadata
-    parse(input) {
-        const cleaned = input.trim().toLowerCase();
+    // 
+    // times are read on the wall clock of `timezone`, unless the input has
+    // its own zone ("daily 9am Europe/London") which wins
+    // 
+    // full shape: <expression> [active hours] [zone] [end condition] - the zone can also go last
+    parse(input, timezone = config.timezone) {
+        let trimmed = input.trim();
+        let zoneFound = false;
+        
+        // optional timezone on the end. IANA names always have a slash, plus bare utc/gmt
+        const stripZone = () => {
+            const zoneMatch = trimmed.match(/\s+([a-z_]+(?:\/[a-z0-9_+-]+)+|utc|gmt)$/i);
+            if (!zoneMatch) return;
+            
+            timezone = this.resolveTimezone(zoneMatch[1]);
+            if (!timezone) {
+                throw new ScheduleError(
+                    `Unknown timezone "${zoneMatch[1]}". Use a name like America/New_York or Europe/London`,
+                    'INVALID_TIMEZONE'
+                );
+            }
+            trimmed = trimmed.slice(0, zoneMatch.index);
+            zoneFound = true;
+        };
+        
+        stripZone();
+        
+        // optional end condition - "for 10 times", "until friday 6pm", "between X and Y"
+        const condition = this.extractEndCondition(trimmed);
+        if (condition) {
+            trimmed = condition.rest;
+            if (!zoneFound) stripZone();
+        }
+        
+        // optional active hours - "between 9am and 5pm", "on weekdays", or both
+        const active = this.extractActiveHours(trimmed);
+        if (active) {
+            trimmed = active.rest;
+            if (!zoneFound) stripZone();
+        }
+        
+        let result = this.parseExpression(trimmed.toLowerCase(), timezone);
+        if (active) result = this.applyActiveHours(result, active.activeHours);
+        return condition ? this.applyEndCondition(result, condition, timezone) : result;
+    }
+    
+    // split trailing active hours off the input, null if there aren't any
+    // "between 9am and 5pm" is clock times only - "between dec 1 and dec 24" is an
+    // end condition and never gets here
+    extractActiveHours(input) {
+        let rest = input;
+        let days = null;
+        let start = null;
+        let end = null;
+        
+        const daysMatch = rest.match(new RegExp(`\\s+on\\s+(${DAY_SET_PATTERN})$`, 'i'));
+        if (daysMatch) {
+            days = this.parseDaySet(daysMatch[1]);
+            rest = rest.slice(0, daysMatch.index);
+        }
+        
+        const hoursMatch = rest.match(/\s+between\s+(\d{1,2})(?::(\d{2}))?\s*(am|pm)?\s+and\s+(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i);
+        if (hoursMatch) {
+            const [, startHour, startMinute, startMeridiem, endHour, endMinute, endMeridiem] = hoursMatch;
+            start = this.parseTime(startHour, startMinute || '0', startMeridiem);
+            end = this.parseTime(endHour, endMinute || '0', endMeridiem);
+            rest = rest.slice(0, hoursMatch.index);
+        }
+        
+        if (!days && !start) return null;
+        return { rest, activeHours: { start, end, days } };
+    }
+    
+    // attach active hours to a parsed interval and push its first run into them
+    applyActiveHours(result, activeHours) {
+        if (result.type !== 'interval') {
+            throw new ScheduleError(
+                'Active hours only work on interval schedules - try "every 2 hours between 9am and 5pm on weekdays"',
+                'INVALID_FORMAT'
+            );
+        }
+        
+        const { start, end } = activeHours;
+        if (start && (start.hour > 23 || start.minute > 59 || end.hour > 23 || end.minute > 59)) {
+            throw new ScheduleError('Active hours need real clock times, like 9am or 17:30', 'INVALID_FORMAT');
+        }
+        if (start && start.hour === end.hour && start.minute === end.minute) {
+            throw new ScheduleError('Active hours have to start and end at different times', 'INVALID_FORMAT');
+        }
+        
+        const schedule = { ...result, activeHours };
+        schedule.nextRun = this.fitToActiveHours(schedule, result.nextRun);
+        return schedule;
+    }
+    
+    // split a trailing end condition off the input, null if there isn't one
+    // the dates stay as text until we know the timezone
+    extractEndCondition(input) {
+        const timesMatch = input.match(/\s+(?:for\s+)?(\d+)\s+(?:times|runs)$/i);
+        if (timesMatch) {
+            return { rest: input.slice(0, timesMatch.index), maxRuns: parseInt(timesMatch[1]) };
+        }
+        
+        const untilMatch = input.match(/\s+until\s+(.+)$/i);
+        if (untilMatch) {
+            return { rest: input.slice(0, untilMatch.index), until: untilMatch[1] };
+        }
+        
+        // "between 9am and 5pm" is active hours, not an end condition - leave it alone
+        const betweenMatch = input.match(/\s+between\s+(.+?)\s+and\s+(.+)$/i);
+        const active = this.extractActiveHours(input);
+        if (betweenMatch && !(active && active.activeHours.start)) {
+            return { rest: input.slice(0, betweenMatch.index), from: betweenMatch[1], until: betweenMatch[2] };
+        }
+        
+        return null;
+    }
+    
+    // turn the condition into startsAt / endsAt / maxRuns on the parsed result
+    // and make sure the schedule will actually run at least once inside it
+    applyEndCondition(result, condition, timezone) {
+        if (result.type === 'once') {
+            throw new ScheduleError('End conditions only work on repeating schedules', 'INVALID_FORMAT');
+        }
+        
+        const schedule = { ...result };
+        
+        if (condition.maxRuns !== undefined) {
+            if (condition.maxRuns < 1) {
+                throw new ScheduleError('A schedule has to run at least once', 'INVALID_FORMAT');
+            }
+            schedule.maxRuns = condition.maxRuns;
+        }
+        
+        if (condition.from) {
+            schedule.startsAt = this.parseBoundary(condition.from, timezone, false);
+        }
+        
+        if (condition.until) {
+            // the end of a "between" is read relative to its start, so
+            // "between friday and monday" means the monday after that friday
+            schedule.endsAt = this.parseBoundary(condition.until, timezone, true, schedule.startsAt || Date.now());
+            
+            if (schedule.startsAt && schedule.endsAt <= schedule.startsAt) {
+                throw new ScheduleError('The end of "between" has to be after the start', 'INVALID_FORMAT');
+            }
+        }
+        
+        // first run has to respect the start, getNextRunFor knows about startsAt
+        schedule.nextRun = this.getNextRunFor({ ...schedule, timezone });
+        
+        if (schedule.endsAt && schedule.nextRun > schedule.endsAt) {
+            throw new ScheduleError('That ends before it would ever run', 'INVALID_FORMAT');
+        }
+        
+        return schedule;
+    }
+    
+    // a date for until/between → timestamp in the timezone
+    // understands "friday 6pm", "tomorrow", "2026-12-24 17:00", "dec 24", "december 24 2026 9am"
+    // 
+    // no time given means the end of the day for an end (until friday = all of friday)
+    // and the start of the day for a start. weekdays and yearless dates are the next
+    // one on or after `after`
+    parseBoundary(text, timezone, isEnd, after = Date.now()) {
+        const cleaned = text.trim().toLowerCase();
+        
+        // a time needs am/pm or a colon, otherwise the 24 in "dec 24" would look like one
+        const timeMatch = cleaned.match(/^(.*?)\s*(?:at\s+)?\b(\d{1,2})(?::(\d{2}))?\s*(am|pm)$|^(.*?)\s*(?:at\s+)?\b(\d{1,2}):(\d{2})$/);
+        let datePart = cleaned;
+        let time = isEnd ? { hour: 23, minute: 59 } : { hour: 0, minute: 0 };
+        let explicitTime = false;
+        
+        if (timeMatch) {
+            const [, a, hour, minute, meridiem, b, hour24, minute24] = timeMatch;
+            datePart = (a !== undefined ? a : b).trim();
+            time = hour !== undefined
+                ? this.parseTime(hour, minute || '0', meridiem)
+                : this.parseTime(hour24, minute24, null);
+            explicitTime = true;
+        }
+        
+        const at = (year, month, day) => this.zonedTimeToUtc(year, month, day, time.hour, time.minute, timezone);
+        
+        // today/tomorrow always mean the real ones, even at the end of a "between"
+        const now = this.getZonedParts(Date.now(), timezone);
+        
+        // "until 6pm" = today at 6pm
+        if (datePart === '' || datePart === 'today') {
+            return at(now.year, now.month, now.day);
+        }
+        
+        if (datePart === 'tomorrow') {
+            return at(now.year, now.month, now.day + 1);
+        }
+        
+        const today = this.getZonedParts(after, timezone);
+        
+        const isoMatch = datePart.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+        if (isoMatch) {
+            return at(parseInt(isoMatch[1]), parseInt(isoMatch[2]) - 1, parseInt(isoMatch[3]));
+        }
+        
+        const weekdayMatch = datePart.match(new RegExp(`^(?:next\\s+)?(${DAY_PATTERN})$`, 'i'));
+        if (weekdayMatch) {
+            const target = DAY_NAMES.indexOf(this.normalizeDay(weekdayMatch[1]));
+            const currentDay = new Date(Date.UTC(today.year, today.month, today.day)).getUTCDay();
+            const offset = (target - currentDay + 7) % 7;
+            const candidate = at(today.year, today.month, today.day + offset);
+            
+            // today's already gone for an end, or a start with a time that passed
+            if (candidate <= after && (isEnd || explicitTime)) {
+                return at(today.year, today.month, today.day + offset + 7);
+            }
+            return candidate;
+        }
+        
+        const months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+        const monthMatch = datePart.match(/^([a-z]{3})[a-z]*\.?\s+(\d{1,2})(?:st|nd|rd|th)?(?:,?\s+(\d{4}))?$/);
+        if (monthMatch && months.includes(monthMatch[1])) {
+            const month = months.indexOf(monthMatch[1]);
+            const day = parseInt(monthMatch[2]);
+            
+            if (monthMatch[3]) {
+                return at(parseInt(monthMatch[3]), month, day);
+            }
+            
+            // no year - this year's, unless that's already behind us
+            const candidate = at(today.year, month, day);
+            return candidate <= after ? at(today.year + 1, month, day) : candidate;
+        }
+        
+        throw new ScheduleError(
+            `Couldn't read the date "${text}". Try "friday 6pm", "2026-12-24" or "dec 24"`,
+            'INVALID_FORMAT'
+        );
+    }
+    
+    // the actual time expression, lowercased, with zone + end condition already removed
+    // tries patterns in order of specificity
+    parseExpression(cleaned, timezone) {
         
         // check daily recurring first - "daily 9am" or "daily at 3:30pm"
         // the "at" is optional because people type both ways
@@ -160,7 +459,8 @@ class TimeParser {
                 type: 'recurring',
                 interval: 'daily',
                 time: time,
-                nextRun: this.getNextDailyRun(time)
+                timezone,
+                nextRun: this.getNextDailyRun(time, timezone)
             };
         }
         
@@ -176,20 +476,63 @@ class TimeParser {
                 interval: 'weekly',
                 day: day.toLowerCase(),
                 time: time,
-                nextRun: this.getNextWeeklyRun(day, time)
+                timezone,
+                nextRun: this.getNextWeeklyRun(day, time, timezone)
             };
         }
         
+        // day sets - "weekdays 9am", "weekends 11am", "mon,wed,fri 3pm"
+        // all the same recurring variant with a list of days, so there's one code
+        // path for "next matching day" instead of three
+        // the list form needs at least one comma, otherwise "monday 3pm" would look recurring
+        const daySetMatch = cleaned.match(new RegExp(`^(?:weekly\\s+)?(weekdays|weekends|${DAY_PATTERN}(?:\\s*,\\s*${DAY_PATTERN})+)\\s+${TIME_PATTERN}$`, 'i'));
+        if (daySetMatch) {
+            const [_, daysText, hour, minute, meridiem] = daySetMatch;
+            const time = this.parseTime(hour, minute || '0', meridiem);
+            
+            return this.buildRecurring({ interval: 'days', days: this.parseDaySet(daysText), time }, timezone);
+        }
+        
+        // monthly on a date - "monthly 1st 10am", "monthly 15 at 9:30am", "monthly last day 5pm"
+        const monthlyDateMatch = cleaned.match(new RegExp(`^monthly\\s+(?:on\\s+)?(?:the\\s+)?(\\d{1,2}(?:st|nd|rd|th)?|last\\s+day)\\s+${TIME_PATTERN}$`, 'i'));
+        if (monthlyDateMatch) {
+            const [_, dayText, hour, minute, meridiem] = monthlyDateMatch;
+            const time = this.parseTime(hour, minute || '0', meridiem);
+            
+            // -1 = last day of the month, whatever length it is
+            const monthDay = dayText.startsWith('last') ? -1 : parseInt(dayText);
+            if (monthDay === 0 || monthDay > 31) {
+                throw new ScheduleError(`There's no day ${monthDay} in a month`, 'INVALID_FORMAT');
+            }
+            
+            return this.buildRecurring({ interval: 'monthly', monthDay, time }, timezone);
+        }
+        
+        // monthly on a weekday - "monthly last friday 4pm", "monthly first monday 9am"
+        const monthlyWeekdayMatch = cleaned.match(new RegExp(`^monthly\\s+(?:on\\s+)?(?:the\\s+)?(first|1st|second|2nd|third|3rd|fourth|4th|last)\\s+(${DAY_PATTERN})\\s+${TIME_PATTERN}$`, 'i'));
+        if (monthlyWeekdayMatch) {
+            const [_, nthText, dayText, hour, minute, meridiem] = monthlyWeekdayMatch;
+            const time = this.parseTime(hour, minute || '0', meridiem);
+            
+            return this.buildRecurring({
+                interval: 'monthly',
+                nth: NTH_WORDS[nthText],  // 1-4, or -1 for last
+                day: this.normalizeDay(dayText),
+                time
+            }, timezone);
+        }
+        
         // one-time tomorrow - "tomorrow 3pm"
         // simpler than daily because it's always tomorrow, no rollover logic
         const tomorrowMatch = cleaned.match(/^tomorrow\s+(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i);
         if (tomorrowMatch) {
             const [_, hour, minute, meridiem] = tomorrowMatch;
             const time = this.parseTime(hour, minute || '0', meridiem);
-            const nextRun = this.getTomorrowAt(time);
+            const nextRun = this.getTomorrowAt(time, timezone);
             
             return {
                 type: 'once',
+                timezone,
                 nextRun: nextRun
             };
         }
@@ -201,17 +544,18 @@ class TimeParser {
         if (todayMatch) {
             const [_, hour, minute, meridiem] = todayMatch;
             const time = this.parseTime(hour, minute || '0', meridiem);
-            let nextRun = this.getTodayAt(time);
+            let nextRun = this.getTodayAt(time, timezone);
             
             // auto-rollover if time passed - prevents "scheduled in the past" errors
             // learned this from user complaints when they typed "today 3pm" at 4pm
             if (nextRun < Date.now()) {
-                nextRun = this.getTomorrowAt(time);
+                nextRun = this.getTomorrowAt(time, timezone);
                 log.info('PARSER', 'Time already passed today, scheduling for tomorrow');
             }
             
             return {
                 type: 'once',
+                timezone,
                 nextRun: nextRun
             };
         }
@@ -223,6 +567,11 @@ class TimeParser {
         if (intervalMatch) {
             const [_, amount, unit] = intervalMatch;
             
+            // "every 0 minutes" would be due again the moment it ran
+            if (parseInt(amount) < 1) {
+                throw new ScheduleError('An interval has to be at least 1 minute', 'INVALID_FORMAT');
+            }
+            
             // convert to milliseconds
             // originally had a lookup table but inline is clearer for just two units
             const ms = unit.startsWith('hour') 
@@ -232,17 +581,46 @@ class TimeParser {
             return {
                 type: 'interval',
                 intervalMs: ms,
+                timezone,  // doesn't affect when it fires, just how times get shown
                 nextRun: Date.now() + ms  // first run is one interval from now
             };
         }
         
         // nothing matched - throw with helpful error message
         throw new ScheduleError(
-            'Invalid time format. Try: "daily 9am", "weekly monday 3pm", "tomorrow 5pm", "every 2 hours"', 
+            'Invalid time format. Try: "daily 9am", "weekdays 9am", "mon,wed,fri 3pm", "monthly last friday 4pm", "tomorrow 5pm", "every 2 hours"', 
             'INVALID_FORMAT'
         );
     }
     
+    // finish off a recurring result - same { type, nextRun, ... } shape as daily/weekly
+    // so check() and list() don't need to know which variant it is
+    buildRecurring(fields, timezone) {
+        const schedule = { type: 'recurring', ...fields, timezone };
+        return { ...schedule, nextRun: this.getNextRunFor(schedule) };
+    }
+    
+    // "weekdays" / "weekends" / "mon,wed,fri" → list of full day names
+    parseDaySet(text) {
+        const lower = text.toLowerCase();
+        if (lower === 'weekdays') return DAY_NAMES.slice(1, 6);
+        if (lower === 'weekends') return ['saturday', 'sunday'];
+        
+        return [...new Set(lower.split(/\s*,\s*/).map(d => this.normalizeDay(d)))];
+    }
+    
+    // "Wed" / "weds" / "wednesday" → "wednesday"
+    normalizeDay(text) {
+        const lower = text.toLowerCase();
+        if (DAY_NAMES.includes(lower)) return lower;
+        
+        const name = DAY_ALIASES[lower] || DAY_NAMES.find(d => d.startsWith(lower.slice(0, 3)));
+        if (!name) {
+            throw new ScheduleError(`"${text}" isn't a day of the week`, 'INVALID_FORMAT');
+        }
+        return name;
+    }
+    
     // convert 12-hour to 24-hour format
     // the meridiem handling has edge cases that bit me:
     // - 12pm = noon = hour 12 (NOT 12+12=24)
@@ -266,24 +644,18 @@ class TimeParser {
     // calculate next occurrence of a daily schedule
     // if it's 8am and they want 9am: today at 9am
     // if it's 10am and they want 9am: tomorrow at 9am
-    getNextDailyRun(time) {
-        const now = new Date();
-        const next = new Date(
-            now.getFullYear(),
-            now.getMonth(),
-            now.getDate(),
-            time.hour,
-            time.minute,
-            0,  // seconds
-            0   // milliseconds
-        );
+    // "now" is `from` so check() can ask for the occurrence after the one that just fired
+    getNextDailyRun(time, timezone = config.timezone, from = Date.now()) {
+        const today = this.getZonedParts(from, timezone);
+        const next = this.zonedTimeToUtc(today.year, today.month, today.day, time.hour, time.minute, timezone);
         
         // if we already passed this time today, bump to tomorrow
-        if (next.getTime() <= now.getTime()) {
-            next.setDate(next.getDate() + 1);
+        // by calendar day, not +24h - that's the whole DST fix
+        if (next <= from) {
+            return this.zonedTimeToUtc(today.year, today.month, today.day + 1, time.hour, time.minute, timezone);
         }
         
-        return next.getTime();
+        return next;
     }
     
     // calculate next weekly occurrence
@@ -292,63 +664,482 @@ class TimeParser {
     // - if today is monday and they want monday: depends on time
     //   - if before the time: today at that time
     //   - if after the time: next monday (7 days)
-    getNextWeeklyRun(dayName, time) {
-        const days = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-        const targetDay = days.indexOf(dayName.toLowerCase());
+    getNextWeeklyRun(dayName, time, timezone = config.timezone, from = Date.now()) {
+        const targetDay = DAY_NAMES.indexOf(dayName.toLowerCase());
         
-        const now = new Date();
-        const currentDay = now.getDay();
+        // "today" is today in the schedule's timezone, which isn't always the host's
+        const today = this.getZonedParts(from, timezone);
+        const currentDay = new Date(Date.UTC(today.year, today.month, today.day)).getUTCDay();
         
         // calculate days until target day
-        let daysUntil = targetDay - currentDay;
-        
-        // if target day already passed this week, or it's today but time passed
-        // go to next week's occurrence
-        if (daysUntil < 0 || (daysUntil === 0 && now.getHours() >= time.hour)) {
-            daysUntil += 7;
-        }
-        
-        const next = new Date(
-            now.getFullYear(),
-            now.getMonth(),
-            now.getDate() + daysUntil,
-            time.hour,
-            time.minute,
-            0,
-            0
-        );
+        const daysUntil = (targetDay - currentDay + 7) % 7;
+        
+        const next = this.zonedTimeToUtc(today.year, today.month, today.day + daysUntil, time.hour, time.minute, timezone);
+        
+        // it's today but the time passed - go to next week's occurrence
+        if (next <= from) {
+            return this.zonedTimeToUtc(today.year, today.month, today.day + daysUntil + 7, time.hour, time.minute, timezone);
+        }
+        
+        return next;
+    }
+    
+    // next run for a set of days ("weekdays", "mon,wed,fri")
+    // just walks forward day by day - at most 8 steps, since today might be
+    // in the set but already past the time
+    getNextDaysRun(dayNames, time, timezone = config.timezone, from = Date.now()) {
+        const today = this.getZonedParts(from, timezone);
+        
+        for (let offset = 0; offset <= 7; offset++) {
+            const weekday = new Date(Date.UTC(today.year, today.month, today.day + offset)).getUTCDay();
+            if (!dayNames.includes(DAY_NAMES[weekday])) continue;
+            
+            const next = this.zonedTimeToUtc(today.year, today.month, today.day + offset, time.hour, time.minute, timezone);
+            if (next > from) {
+                return next;
+            }
+        }
+        
+        // only reachable with an empty day list, which parse() can't produce
+        throw new ScheduleError('Schedule has no days to run on', 'INVALID_FORMAT');
+    }
+    
+    // next monthly run - either a date (monthDay) or the nth weekday (nth + day)
+    // 
+    // day 31 in a 30-day month clamps to the 30th instead of skipping the month.
+    // cron skips, but "monthly 31st" is always someone meaning "end of month"
+    getNextMonthlyRun(schedule, timezone = config.timezone, from = Date.now()) {
+        const today = this.getZonedParts(from, timezone);
+        
+        // this month might already be past, so look at this one and the next
+        for (let offset = 0; offset <= 1; offset++) {
+            const year = today.year;
+            const month = today.month + offset;  // Date.UTC rolls 12 into next january
+            const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+            
+            let day;
+            if (schedule.nth) {
+                const target = DAY_NAMES.indexOf(schedule.day);
+                if (schedule.nth === -1) {
+                    // step back from the last day to the weekday we want
+                    const lastWeekday = new Date(Date.UTC(year, month, lastDay)).getUTCDay();
+                    day = lastDay - (lastWeekday - target + 7) % 7;
+                } else {
+                    // step forward from the 1st, then whole weeks
+                    const firstWeekday = new Date(Date.UTC(year, month, 1)).getUTCDay();
+                    day = 1 + (target - firstWeekday + 7) % 7 + (schedule.nth - 1) * 7;
+                }
+            } else {
+                day = schedule.monthDay === -1 ? lastDay : Math.min(schedule.monthDay, lastDay);
+            }
+            
+            const next = this.zonedTimeToUtc(year, month, day, schedule.time.hour, schedule.time.minute, timezone);
+            if (next > from) {
+                return next;
+            }
+        }
         
-        return next.getTime();
+        // can't get here - next month's date is always after `from`
+        throw new ScheduleError('Could not work out the next monthly run', 'INVALID_FORMAT');
     }
     
     // helper: get timestamp for today at specific time
-    getTodayAt(time) {
-        const now = new Date();
-        const target = new Date(
-            now.getFullYear(),
-            now.getMonth(),
-            now.getDate(),
-            time.hour,
-            time.minute,
-            0,
-            0
-        );
-        return target.getTime();
+    getTodayAt(time, timezone = config.timezone) {
+        const today = this.getZonedParts(Date.now(), timezone);
+        return this.zonedTimeToUtc(today.year, today.month, today.day, time.hour, time.minute, timezone);
     }
     
     // helper: get timestamp for tomorrow at specific time
-    getTomorrowAt(time) {
-        const now = new Date();
-        const target = new Date(
-            now.getFullYear(),
-            now.getMonth(),
-            now.getDate() + 1,
-            time.hour,
-            time.minute,
-            0,
-            0
-        );
-        return target.getTime();
+    // day + 1 rolls over month ends on its own thanks to Date.UTC
+    getTomorrowAt(time, timezone = config.timezone) {
+        const today = this.getZonedParts(Date.now(), timezone);
+        return this.zonedTimeToUtc(today.year, today.month, today.day + 1, time.hour, time.minute, timezone);
+    }
+    
+    // work out the next run again from a stored schedule's own fields
+    // used on resume - the stored nextRun went stale while it was paused, and a
+    // daily schedule paused for a week shouldn't fire the second it comes back.
+    // check() passes the run that just fired as `from` to get the one after it
+    getNextRunFor(schedule, from = Date.now()) {
+        const timezone = schedule.timezone || config.timezone;
+        
+        // "between" schedules don't start before their window opens.
+        // an interval's first run is right at the start
+        if (schedule.startsAt && from < schedule.startsAt) {
+            if (schedule.type === 'interval') {
+                return this.fitToActiveHours(schedule, schedule.startsAt);
+            }
+            from = schedule.startsAt - 1;
+        }
+        
+        if (schedule.type === 'recurring') {
+            if (schedule.interval === 'weekly') {
+                return this.getNextWeeklyRun(schedule.day, schedule.time, timezone, from);
+            }
+            if (schedule.interval === 'days') {
+                return this.getNextDaysRun(schedule.days, schedule.time, timezone, from);
+            }
+            if (schedule.interval === 'monthly') {
+                return this.getNextMonthlyRun(schedule, timezone, from);
+            }
+            return this.getNextDailyRun(schedule.time, timezone, from);
+        }
+        
+        if (schedule.type === 'interval') {
+            return this.fitToActiveHours(schedule, from + schedule.intervalMs);
+        }
+        
+        // once - nothing to recompute, it's a fixed point in time
+        return schedule.nextRun;
+    }
+    
+    // move an interval run into the schedule's active hours
+    // inside them it's left alone, outside it goes to the next time they open.
+    // so "every 2 hours between 9am and 5pm" runs 9, 11, 1, 3, 5 then 9 the next day
+    fitToActiveHours(schedule, timestamp) {
+        const activeHours = schedule.activeHours;
+        if (!activeHours) return timestamp;
+        
+        const timezone = schedule.timezone || config.timezone;
+        if (this.isInActiveHours(activeHours, timestamp, timezone)) return timestamp;
+        
+        const start = activeHours.start || { hour: 0, minute: 0 };
+        const today = this.getZonedParts(timestamp, timezone);
+        
+        // same walk as getNextDaysRun - today's opening might already be behind us
+        for (let offset = 0; offset <= 7; offset++) {
+            const weekday = new Date(Date.UTC(today.year, today.month, today.day + offset)).getUTCDay();
+            if (activeHours.days && !activeHours.days.includes(DAY_NAMES[weekday])) continue;
+            
+            const next = this.zonedTimeToUtc(today.year, today.month, today.day + offset, start.hour, start.minute, timezone);
+            if (next > timestamp) {
+                return next;
+            }
+        }
+        
+        // only reachable with an empty day list, which parse() can't produce
+        throw new ScheduleError('Schedule has no days to run on', 'INVALID_FORMAT');
+    }
+    
+    // is this instant inside the active hours, on the schedule's wall clock?
+    // the end time counts as inside, and an end before the start wraps past
+    // midnight ("between 10pm and 2am") - the small hours belong to the day before
+    isInActiveHours(activeHours, timestamp, timezone) {
+        const parts = this.getZonedParts(timestamp, timezone);
+        const minutes = parts.hour * 60 + parts.minute;
+        let weekday = new Date(Date.UTC(parts.year, parts.month, parts.day)).getUTCDay();
+        
+        if (activeHours.start) {
+            const start = activeHours.start.hour * 60 + activeHours.start.minute;
+            const end = activeHours.end.hour * 60 + activeHours.end.minute;
+            
+            if (start < end) {
+                if (minutes < start || minutes > end) return false;
+            } else if (minutes < start) {
+                if (minutes > end) return false;
+                weekday = (weekday + 6) % 7;
+            }
+        }
+        
+        return !activeHours.days || activeHours.days.includes(DAY_NAMES[weekday]);
+    }
+    
+    // === timezone helpers ===
+    // same approach as RemindBot - Intl knows the DST rules, so no dependency needed
+    
+    // what does the wall clock say in this timezone at this instant?
+    // month is 0-based to match Date.UTC
+    getZonedParts(timestamp, timezone) {
+        const formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        });
+        
+        const parts = {};
+        for (const { type, value } of formatter.formatToParts(new Date(timestamp))) {
+            if (type !== 'literal') {
+                parts[type] = parseInt(value);
+            }
+        }
+        
+        return {
+            year: parts.year,
+            month: parts.month - 1,
+            day: parts.day,
+            hour: parts.hour,
+            minute: parts.minute,
+            second: parts.second
+        };
+    }
+    
+    // how far ahead of UTC the timezone is at this instant, in ms
+    getTimezoneOffset(timestamp, timezone) {
+        const p = this.getZonedParts(timestamp, timezone);
+        const asUtc = Date.UTC(p.year, p.month, p.day, p.hour, p.minute, p.second);
+        return asUtc - (timestamp - (timestamp % 1000));
+    }
+    
+    // wall clock time in a timezone → timestamp
+    // two passes so a guess on the wrong side of a DST change corrects itself.
+    // times that don't exist (2:30am on spring-forward day) come out an hour later
+    zonedTimeToUtc(year, month, day, hour, minute, timezone) {
+        const naive = Date.UTC(year, month, day, hour, minute, 0, 0);
+        const firstGuess = naive - this.getTimezoneOffset(naive, timezone);
+        const secondGuess = naive - this.getTimezoneOffset(firstGuess, timezone);
+        
+        const readBack = this.getZonedParts(secondGuess, timezone);
+        return readBack.hour === new Date(naive).getUTCHours() ? secondGuess : firstGuess;
+    }
+    
+    // validate + normalize a timezone name, null if Intl doesn't know it
+    // "europe/london" comes back as "Europe/London"
+    resolveTimezone(timezone) {
+        try {
+            return new Intl.DateTimeFormat('en-US', { timeZone: timezone }).resolvedOptions().timeZone;
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+/**
+ * TemplateEngine - {variables} in scheduled messages
+ * 
+ * started out as three .replace() calls in processMessage. that only ever
+ * replaced the FIRST {date}, and a typo like {dte} went out to the channel
+ * exactly as typed - nobody noticed until the announcement was already posted.
+ * 
+ * now it's a tiny tokenizer:
+ *    {name}           a variable
+ *    {name:options}   a variable with options, e.g. {date:YYYY-MM-DD}
+ *    {{ and }}        literal braces
+ * 
+ * validate() is strict and runs at create time. render() is forgiving - anything
+ * it doesn't understand is left as-is, so old schedules made before this existed
+ * keep sending exactly what they used to.
+ * 
+ * date formats use the usual tokens: YYYY YY MMMM MMM MM M DD D dddd ddd HH H hh h mm ss A a
+ * punctuation is copied through, but keep words outside the braces - the "a" in
+ * "at" is a token too
+ */
+class TemplateEngine {
+    constructor(parser) {
+        // borrowing the parser's timezone helpers so "today" means today in the schedule's zone
+        this.parser = parser;
+        
+        // name → { options: 'none' | 'optional' | 'required', validate?, render }
+        // render gets (options, context) where context is { now, timezone, runCount,
+        // channelName, serverName, memberCount } - the last three can be missing
+        this.variables = {
+            date: {
+                options: 'optional',
+                render: (format, ctx) => format
+                    ? this.formatDate(ctx.now, format, ctx.timezone)
+                    : new Date(ctx.now).toLocaleDateString(undefined, { timeZone: ctx.timezone })
+            },
+            time: {
+                options: 'optional',
+                render: (format, ctx) => format
+                    ? this.formatDate(ctx.now, format, ctx.timezone)
+                    : new Date(ctx.now).toLocaleTimeString(undefined, { timeZone: ctx.timezone })
+            },
+            day: {
+                options: 'none',
+                render: (_, ctx) => new Date(ctx.now).toLocaleDateString('en-US', { weekday: 'long', timeZone: ctx.timezone })
+            },
+            countdown: {
+                options: 'required',
+                validate: (target) => this.parseCountdownDate(target),
+                render: (target, ctx) => {
+                    const days = this.daysUntil(this.parseCountdownDate(target), ctx.now, ctx.timezone);
+                    return `${days} day${days === 1 ? '' : 's'}`;
+                }
+            },
+            run_count: {
+                options: 'none',
+                render: (_, ctx) => String(ctx.runCount || 1)
+            },
+            channel: {
+                options: 'none',
+                render: (_, ctx) => ctx.channelName ? `#${ctx.channelName}` : '#unknown-channel'
+            },
+            server: {
+                options: 'none',
+                render: (_, ctx) => ctx.serverName || 'this server'
+            },
+            member_count: {
+                options: 'none',
+                render: (_, ctx) => ctx.memberCount !== undefined ? String(ctx.memberCount) : '?'
+            },
+            random: {
+                options: 'required',
+                validate: (choices) => {
+                    if (choices.split('|').some(c => c.trim() === '')) {
+                        throw new ScheduleError('{random} has an empty choice - use {random:a|b|c}', 'INVALID_TEMPLATE');
+                    }
+                },
+                render: (choices) => {
+                    const list = choices.split('|');
+                    return list[Math.floor(Math.random() * list.length)].trim();
+                }
+            }
+        };
+    }
+    
+    // check a template before it's saved - throws ScheduleError on the first problem
+    validate(template) {
+        for (const token of this.tokenize(template, true)) {
+            if (token.text !== undefined) continue;
+            
+            const variable = this.variables[token.name];
+            if (!variable) {
+                throw new ScheduleError(
+                    `Unknown template variable ${token.raw}. Available: ${Object.keys(this.variables).map(n => `{${n}}`).join(', ')} - use {{ and }} for literal braces`,
+                    'INVALID_TEMPLATE'
+                );
+            }
+            
+            if (variable.options === 'none' && token.options !== null) {
+                throw new ScheduleError(`{${token.name}} doesn't take options`, 'INVALID_TEMPLATE');
+            }
+            if (variable.options === 'required' && !token.options) {
+                const example = token.name === 'countdown' ? '{countdown:2026-12-25}' : '{random:a|b|c}';
+                throw new ScheduleError(`{${token.name}} needs options, e.g. ${example}`, 'INVALID_TEMPLATE');
+            }
+            if (variable.validate && token.options) {
+                variable.validate(token.options);
+            }
+        }
+    }
+    
+    // fill in every variable. anything unknown or broken stays exactly as typed
+    render(template, context = {}) {
+        const ctx = { now: Date.now(), timezone: config.timezone, ...context };
+        
+        return this.tokenize(template, false).map(token => {
+            if (token.text !== undefined) return token.text;
+            
+            const variable = this.variables[token.name];
+            if (!variable) return token.raw;
+            
+            try {
+                return variable.render(token.options, ctx);
+            } catch (error) {
+                return token.raw;
+            }
+        }).join('');
+    }
+    
+    // template → [{ text }, { name, options, raw }, ...]
+    // strict mode throws on an unclosed "{", loose mode treats it as text
+    tokenize(template, strict) {
+        const tokens = [];
+        let text = '';
+        let i = 0;
+        
+        while (i < template.length) {
+            const char = template[i];
+            
+            // {{ and }} are escapes for a literal brace
+            if ((char === '{' || char === '}') && template[i + 1] === char) {
+                text += char;
+                i += 2;
+                continue;
+            }
+            
+            if (char === '{') {
+                const end = template.indexOf('}', i);
+                if (end === -1) {
+                    if (strict) {
+                        throw new ScheduleError('Template has a "{" with no closing "}" - use {{ for a literal brace', 'INVALID_TEMPLATE');
+                    }
+                    text += template.slice(i);
+                    break;
+                }
+                
+                const body = template.slice(i + 1, end);
+                const colon = body.indexOf(':');
+                
+                if (text) tokens.push({ text });
+                text = '';
+                
+                tokens.push({
+                    name: (colon === -1 ? body : body.slice(0, colon)).trim().toLowerCase(),
+                    options: colon === -1 ? null : body.slice(colon + 1),
+                    raw: template.slice(i, end + 1)
+                });
+                i = end + 1;
+                continue;
+            }
+            
+            text += char;
+            i++;
+        }
+        
+        if (text) tokens.push({ text });
+        return tokens;
+    }
+    
+    // timestamp + "YYYY-MM-DD" → "2026-10-19" on the timezone's wall clock
+    formatDate(timestamp, format, timezone) {
+        const months = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+            'August', 'September', 'October', 'November', 'December'];
+        const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+        
+        const p = this.parser.getZonedParts(timestamp, timezone);
+        const weekday = new Date(Date.UTC(p.year, p.month, p.day)).getUTCDay();
+        const hour12 = p.hour % 12 || 12;
+        const pad = n => String(n).padStart(2, '0');
+        
+        const values = {
+            YYYY: String(p.year),
+            YY: String(p.year).slice(-2),
+            MMMM: months[p.month],
+            MMM: months[p.month].slice(0, 3),
+            MM: pad(p.month + 1),
+            M: String(p.month + 1),
+            DD: pad(p.day),
+            D: String(p.day),
+            dddd: days[weekday],
+            ddd: days[weekday].slice(0, 3),
+            HH: pad(p.hour),
+            H: String(p.hour),
+            hh: pad(hour12),
+            h: String(hour12),
+            mm: pad(p.minute),
+            ss: pad(p.second),
+            A: p.hour < 12 ? 'AM' : 'PM',
+            a: p.hour < 12 ? 'am' : 'pm'
+        };
+        
+        // longest tokens first so MMMM doesn't get eaten as MM + MM
+        return format.replace(/YYYY|YY|MMMM|MMM|MM|M|DD|D|dddd|ddd|HH|H|hh|h|mm|ss|A|a/g, token => values[token]);
+    }
+    
+    // "2026-12-25" → { year, month, day }, throws if it isn't a real date
+    parseCountdownDate(text) {
+        const match = text.trim().match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+        const date = match && new Date(Date.UTC(match[1], match[2] - 1, match[3]));
+        
+        // Date.UTC quietly turns feb 30 into march 2, so check it came back the same
+        if (!date || date.getUTCMonth() !== match[2] - 1 || date.getUTCDate() !== parseInt(match[3])) {
+            throw new ScheduleError(`{countdown:${text}} needs a real date like 2026-12-25`, 'INVALID_TEMPLATE');
+        }
+        
+        return { year: date.getUTCFullYear(), month: date.getUTCMonth(), day: date.getUTCDate() };
+    }
+    
+    // whole calendar days from today (in the timezone) to the target, never negative
+    daysUntil(target, now, timezone) {
+        const today = this.parser.getZonedParts(now, timezone);
+        const diff = Date.UTC(target.year, target.month, target.day) - Date.UTC(today.year, today.month, today.day);
+        return Math.max(0, Math.round(diff / 86400000));
     }
 }
 
@@ -393,17 +1184,31 @@ class ScheduleManager {
     constructor() {
         this.schedules = new Map();  // id → full schedule object
         this.channelSchedules = new Map();  // channelId → Set of schedule ids
+        this.guildSettings = new Map();  // guildId → { timezone }
         this.nextId = 1;
         this.parser = new TimeParser();  // composition over inheritance
+        this.templates = new TemplateEngine(this.parser);
         this.checkTimer = null;
+        this.checking = false;  // a check() is sending right now, see check()
+        this.lastMisfires = [];  // what the latest check() skipped or caught up on
         
         log.info('MANAGER', `Schedule Manager initialized by Keystone`);
     }
     
     // create a new scheduled message
     // validates limits, parses time, stores, persists
-    async create(channelId, message, timeString, createdBy) {
+    // 
+    // options.guildId picks the default timezone - leave it out for DMs
+    // options.payload is a rich message spec (see validatePayload) - when it's
+    // there, `message` is just the plain text that goes above the embed
+    // options.actor is who's asking, for the create-role check (defaults to createdBy)
+    async create(channelId, message, timeString, createdBy, options = {}) {
+        const { guildId = null, payload = null, actor = createdBy } = options;
+        
         try {
+            // permission first - no point parsing anything for someone who can't create
+            this.assertCanCreate(actor, guildId);
+            
             // enforce per-channel limit using the channelSchedules index
             // O(1) check thanks to Set.size
             const channelSet = this.channelSchedules.get(channelId) || new Set();
@@ -416,17 +1221,40 @@ class ScheduleManager {
             
             // delegate time parsing to TimeParser
             // if it can't parse, error bubbles up with helpful message
-            const timeData = this.parser.parse(timeString);
+            // the guild's timezone is only the default - the time string can name its own
+            const timeData = this.parser.parse(timeString, this.getTimezone(guildId));
             
-            // build the schedule object
+            // check everything against discord's limits now rather than at send time
+            const rich = payload ? this.validatePayload(payload) : { embed: null, ping: null, files: [] };
+            if (message.length > DISCORD_LIMITS.content) {
+                throw new ScheduleError(
+                    `Message is ${message.length} characters, Discord's limit is ${DISCORD_LIMITS.content}`,
+                    'MESSAGE_TOO_LONG'
+                );
+            }
+            if (!message && !rich.embed && rich.files.length === 0) {
+                throw new ScheduleError('Nothing to send - add some text, an embed or a file', 'EMPTY_MESSAGE');
+            }
+            
+            // catch template typos now instead of at the first run
+            this.validateTemplates(message, rich.embed);
+            
+            // build the schedule object
             // spread timeData to get type, nextRun, interval, etc
             const schedule = {
                 id: this.nextId++,
                 channelId,
+                guildId,
                 message,
+                embed: rich.embed,  // null for plain text schedules
+                ping: rich.ping,  // role id, 'everyone' or 'here' - sent above the message
+                files: rich.files,  // urls, discord.js downloads them at send time
                 createdBy,  // for ownership checks on delete
                 createdAt: Date.now(),
-                enabled: true,  // for future pause/resume feature
+                runCount: 0,  // times it's been sent - feeds {run_count}
+                history: [],  // last config.historySize runs, oldest first
+                failures: 0,  // consecutive failed runs, reset on success
+                enabled: true,  // false while paused - check() skips it
                 ...timeData  // includes: type, nextRun, and type-specific fields
             };
             
@@ -438,7 +1266,7 @@ class ScheduleManager {
             
             await this.save();
             
-            log.success('MANAGER', `Created schedule #${schedule.id} for ${new Date(schedule.nextRun).toLocaleString()}`);
+            log.success('MANAGER', `Created schedule #${schedule.id} for ${new Date(schedule.nextRun).toISOString()} (${schedule.timezone})`);
             
             return schedule;
             
@@ -448,21 +1276,344 @@ class ScheduleManager {
         }
     }
     
-    // delete a schedule by id
-    // includes ownership check so users can't delete each other's schedules
-    async delete(scheduleId, userId) {
+    // === rich payloads ===
+    // 
+    // a schedule can send an embed (plus a role ping and files) instead of plain text.
+    // people write the spec as JSON, roughly discord's own embed format but flatter:
+    // 
+    //    { "title": "Standup", "description": "Today is {day}", "color": "#5865F2",
+    //      "fields": [{ "name": "Where", "value": "#general", "inline": true }],
+    //      "image": "https://...", "thumbnail": "https://...", "footer": "...",
+    //      "author": "...", "url": "https://...", "ping": "<@&123>", "files": ["https://..."] }
+    // 
+    // stays plain JSON all the way to disk - renderPayload() turns it into
+    // what channel.send() wants, so the manager still doesn't need EmbedBuilder
+    
+    // check a spec against discord's limits and normalize it
+    // returns { embed, ping, files } ready to store on the schedule
+    validatePayload(spec) {
+        if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+            throw new ScheduleError('Embed spec must be a JSON object', 'INVALID_EMBED');
+        }
+        
+        const text = (key, limit) => {
+            const value = spec[key];
+            if (value === undefined || value === null || value === '') return undefined;
+            if (typeof value !== 'string') {
+                throw new ScheduleError(`Embed ${key} must be text`, 'INVALID_EMBED');
+            }
+            if (value.length > limit) {
+                throw new ScheduleError(`Embed ${key} is ${value.length} characters, Discord's limit is ${limit}`, 'EMBED_TOO_LONG');
+            }
+            return value;
+        };
+        
+        const url = (key, value = spec[key]) => {
+            if (value === undefined || value === null || value === '') return undefined;
+            if (typeof value !== 'string' || !/^https?:\/\/\S+$/i.test(value)) {
+                throw new ScheduleError(`Embed ${key} must be an http(s) link`, 'INVALID_EMBED');
+            }
+            return value;
+        };
+        
+        const embed = {
+            title: text('title', DISCORD_LIMITS.title),
+            description: text('description', DISCORD_LIMITS.description),
+            footer: text('footer', DISCORD_LIMITS.footer),
+            author: text('author', DISCORD_LIMITS.author),
+            url: url('url'),
+            image: url('image'),
+            thumbnail: url('thumbnail'),
+            color: this.parseColor(spec.color),
+            fields: []
+        };
+        
+        if (spec.fields !== undefined) {
+            if (!Array.isArray(spec.fields)) {
+                throw new ScheduleError('Embed fields must be a list', 'INVALID_EMBED');
+            }
+            if (spec.fields.length > DISCORD_LIMITS.fields) {
+                throw new ScheduleError(`Embeds can have at most ${DISCORD_LIMITS.fields} fields`, 'EMBED_TOO_LONG');
+            }
+            
+            spec.fields.forEach((field, i) => {
+                // discord rejects empty names/values outright
+                if (!field || typeof field.name !== 'string' || typeof field.value !== 'string' || !field.name || !field.value) {
+                    throw new ScheduleError(`Field ${i + 1} needs a text "name" and "value"`, 'INVALID_EMBED');
+                }
+                if (field.name.length > DISCORD_LIMITS.fieldName) {
+                    throw new ScheduleError(`Field ${i + 1} name is over ${DISCORD_LIMITS.fieldName} characters`, 'EMBED_TOO_LONG');
+                }
+                if (field.value.length > DISCORD_LIMITS.fieldValue) {
+                    throw new ScheduleError(`Field ${i + 1} value is over ${DISCORD_LIMITS.fieldValue} characters`, 'EMBED_TOO_LONG');
+                }
+                embed.fields.push({ name: field.name, value: field.value, inline: Boolean(field.inline) });
+            });
+        }
+        
+        // the 6000 total is the one people hit with lots of fields
+        const total = this.embedLength(embed);
+        if (total > DISCORD_LIMITS.embedTotal) {
+            throw new ScheduleError(`Embed has ${total} characters in total, Discord's limit is ${DISCORD_LIMITS.embedTotal}`, 'EMBED_TOO_LONG');
+        }
+        
+        // files are links, not uploads. discord's attachment links expire after a day
+        // now, so an uploaded image would be dead by the second run
+        const files = spec.files === undefined ? [] : spec.files;
+        if (!Array.isArray(files) || files.length > DISCORD_LIMITS.files) {
+            throw new ScheduleError(`Files must be a list of at most ${DISCORD_LIMITS.files} links`, 'INVALID_EMBED');
+        }
+        files.forEach((file, i) => url(`file ${i + 1}`, file));
+        
+        const hasEmbed = embed.title || embed.description || embed.fields.length > 0 || embed.image || embed.thumbnail || embed.author;
+        
+        return {
+            embed: hasEmbed ? embed : null,
+            ping: this.parsePing(spec.ping),
+            files
+        };
+    }
+    
+    // run every bit of text a schedule will send through the template validator
+    validateTemplates(message, embed) {
+        const texts = [message];
+        if (embed) {
+            texts.push(embed.title, embed.description, embed.footer, embed.author);
+            for (const field of embed.fields) {
+                texts.push(field.name, field.value);
+            }
+        }
+        
+        for (const text of texts) {
+            if (text) this.templates.validate(text);
+        }
+    }
+    
+    // "#5865F2" / "5865F2" / 5793266 → number, undefined if not given
+    parseColor(color) {
+        if (color === undefined || color === null || color === '') return undefined;
+        
+        const value = typeof color === 'number' ? color : parseInt(String(color).replace(/^#/, ''), 16);
+        if (!Number.isInteger(value) || value < 0 || value > 0xFFFFFF || (typeof color === 'string' && !/^#?[0-9a-f]{6}$/i.test(color))) {
+            throw new ScheduleError(`"${color}" isn't a colour - use hex like #5865F2`, 'INVALID_EMBED');
+        }
+        return value;
+    }
+    
+    // "<@&123>" / "123" / "@everyone" / "here" → "123" / "everyone" / "here"
+    parsePing(ping) {
+        if (ping === undefined || ping === null || ping === '') return null;
+        
+        const match = String(ping).trim().match(/^(?:<@&(\d+)>|(\d+)|@?(everyone|here))$/i);
+        if (!match) {
+            throw new ScheduleError('Ping must be a role mention, a role id, @everyone or @here', 'INVALID_EMBED');
+        }
+        return match[1] || match[2] || match[3].toLowerCase();
+    }
+    
+    // what discord counts toward the 6000: title, description, field names + values, footer, author
+    embedLength(embed) {
+        return (embed.title || '').length +
+            (embed.description || '').length +
+            (embed.footer || '').length +
+            (embed.author || '').length +
+            embed.fields.reduce((sum, f) => sum + f.name.length + f.value.length, 0);
+    }
+    
+    // stored schedule → the object channel.send() takes
+    // template variables get filled in everywhere text can go, then clipped to the
+    // limits again because {date} etc can make things a few characters longer
+    // context is the template context from getTemplateContext() - optional for previews
+    renderPayload(schedule, context = {}) {
+        const timezone = schedule.timezone;
+        const fill = (value, limit) => value ? this.processMessage(value, timezone, context).slice(0, limit) : undefined;
+        
+        const ping = !schedule.ping ? '' : (/^\d+$/.test(schedule.ping) ? `<@&${schedule.ping}>` : `@${schedule.ping}`);
+        const content = [ping, fill(schedule.message, DISCORD_LIMITS.content)].filter(Boolean).join('\n');
+        
+        const payload = {};
+        if (content) {
+            payload.content = content.slice(0, DISCORD_LIMITS.content);
+        }
+        
+        if (schedule.embed) {
+            const embed = schedule.embed;
+            payload.embeds = [{
+                title: fill(embed.title, DISCORD_LIMITS.title),
+                description: fill(embed.description, DISCORD_LIMITS.description),
+                url: embed.url,
+                color: embed.color,
+                fields: embed.fields.map(f => ({
+                    name: fill(f.name, DISCORD_LIMITS.fieldName),
+                    value: fill(f.value, DISCORD_LIMITS.fieldValue),
+                    inline: f.inline
+                })),
+                image: embed.image ? { url: embed.image } : undefined,
+                thumbnail: embed.thumbnail ? { url: embed.thumbnail } : undefined,
+                footer: embed.footer ? { text: fill(embed.footer, DISCORD_LIMITS.footer) } : undefined,
+                author: embed.author ? { name: fill(embed.author, DISCORD_LIMITS.author) } : undefined
+            }];
+        }
+        
+        if (schedule.files && schedule.files.length > 0) {
+            payload.files = schedule.files;
+        }
+        
+        return payload;
+    }
+    
+    // a guild's default timezone, falling back to config.timezone
+    getTimezone(guildId) {
+        const settings = guildId && this.guildSettings.get(guildId);
+        return (settings && settings.timezone) || config.timezone;
+    }
+    
+    // set a guild's default timezone
+    // only affects schedules created afterwards - existing ones keep the zone
+    // they were made in, otherwise changing this would silently move every announcement
+    async setTimezone(guildId, timezone) {
+        const resolved = this.parser.resolveTimezone(timezone);
+        if (!resolved) {
+            throw new ScheduleError(
+                `Unknown timezone "${timezone}". Use a name like America/New_York or Europe/London`,
+                'INVALID_TIMEZONE'
+            );
+        }
+        
+        const settings = this.guildSettings.get(guildId) || {};
+        settings.timezone = resolved;
+        this.guildSettings.set(guildId, settings);
+        
+        await this.save();
+        
+        log.success('MANAGER', `Guild ${guildId} timezone set to ${resolved}`);
+        return resolved;
+    }
+    
+    // === permissions ===
+    // 
+    // the manager doesn't know about discord members, so the bot hands it an "actor":
+    //    { userId, roles: [roleId, ...], isModerator, guildId }
+    // isModerator is Manage Server - it overrides everything below, but only in
+    // guildId, the guild the command came from (null for DMs). a schedule from another
+    // guild is NOT_FOUND, even to its owner - same as history, ids don't leak across guilds
+    // 
+    // per guild, guildSettings.roles says which roles can:
+    //    create - make schedules at all (empty list = everyone, like before)
+    //    edit   - change/pause anyone's schedule
+    //    delete - delete anyone's schedule
+    // owners can always edit and delete their own. every refusal is MISSING_PERMISSION
+    // so the bot can tell "you can't" apart from "that didn't work"
+    
+    // callers outside the bot can still pass a plain user id
+    // no guild on it, so that only reaches DM schedules
+    toActor(actor) {
+        return typeof actor === 'string' ? { userId: actor, roles: [], isModerator: false, guildId: null } : actor;
+    }
+    
+    // is the schedule in the guild the actor is acting from?
+    // null on both sides is a DM schedule touched from a DM
+    inActorGuild(actor, schedule) {
+        return (schedule.guildId || null) === (this.toActor(actor).guildId || null);
+    }
+    
+    // does this actor hold a role that grants `permission` in the guild?
+    // roles and Manage Server from one guild mean nothing in another
+    hasPermission(actor, guildId, permission) {
+        const who = this.toActor(actor);
+        if ((who.guildId || null) !== (guildId || null)) return false;
+        if (who.isModerator) return true;
+        
+        const allowed = this.getPermissionRoles(guildId)[permission];
+        return allowed.some(roleId => who.roles.includes(roleId));
+    }
+    
+    // { create: [...], edit: [...], delete: [...] } for a guild, empty lists if unset
+    getPermissionRoles(guildId) {
+        const settings = guildId && this.guildSettings.get(guildId);
+        const roles = (settings && settings.roles) || {};
+        
+        return {
+            create: roles.create || [],
+            edit: roles.edit || [],
+            delete: roles.delete || []
+        };
+    }
+    
+    // add or remove a role from one of the permission lists
+    // the bot only lets Manage Server members get here
+    async setPermissionRole(guildId, permission, roleId, allowed) {
+        if (!['create', 'edit', 'delete'].includes(permission)) {
+            throw new ScheduleError('Permission must be create, edit or delete', 'INVALID_PERMISSION');
+        }
+        
+        const settings = this.guildSettings.get(guildId) || {};
+        const roles = this.getPermissionRoles(guildId);
+        
+        roles[permission] = roles[permission].filter(id => id !== roleId);
+        if (allowed) {
+            roles[permission].push(roleId);
+        }
+        
+        settings.roles = roles;
+        this.guildSettings.set(guildId, settings);
+        
+        await this.save();
+        
+        log.success('MANAGER', `Guild ${guildId}: role ${roleId} ${allowed ? 'can now' : 'can no longer'} ${permission} schedules`);
+        return roles;
+    }
+    
+    // may this actor create schedules in the guild?
+    // no create roles configured means anyone can, same as before roles existed
+    assertCanCreate(actor, guildId) {
+        if (!guildId) return;
+        
+        const allowed = this.getPermissionRoles(guildId).create;
+        if (allowed.length > 0 && !this.hasPermission(actor, guildId, 'create')) {
+            throw new ScheduleError(
+                'You need one of the roles allowed to create schedules in this server',
+                'MISSING_PERMISSION'
+            );
+        }
+    }
+    
+    // can this actor change (permission 'edit') or remove ('delete') this schedule?
+    canModify(actor, schedule, permission) {
+        if (!this.inActorGuild(actor, schedule)) return false;
+        
+        return schedule.createdBy === this.toActor(actor).userId ||
+            this.hasPermission(actor, schedule.guildId, permission);
+    }
+    
+    // look up a schedule and make sure the actor is allowed to touch it
+    // shared by everything that changes a schedule - action is just for the error text
+    getOwnedSchedule(scheduleId, actor, action, permission = 'edit') {
         const schedule = this.schedules.get(scheduleId);
         
-        if (!schedule) {
+        // another guild's schedule looks exactly like a missing one
+        if (!schedule || !this.inActorGuild(actor, schedule)) {
             throw new ScheduleError('Schedule not found', 'NOT_FOUND');
         }
         
         // verify ownership - important in shared channels
-        // admins bypassing this is a todo for later
-        if (schedule.createdBy !== userId) {
-            throw new ScheduleError('Not authorized to delete this schedule', 'UNAUTHORIZED');
+        // moderators and the configured roles get past this
+        if (!this.canModify(actor, schedule, permission)) {
+            throw new ScheduleError(
+                `You can only ${action} your own schedules unless you have a role allowed to ${permission} any`,
+                'MISSING_PERMISSION'
+            );
         }
         
+        return schedule;
+    }
+    
+    // delete a schedule by id
+    // includes ownership check so users can't delete each other's schedules
+    // (unless they're a moderator or have a delete role)
+    async delete(scheduleId, actor) {
+        const schedule = this.getOwnedSchedule(scheduleId, actor, 'delete', 'delete');
+        
         // IMPORTANT: remove from both maps
         this.schedules.delete(scheduleId);
         const channelSet = this.channelSchedules.get(schedule.channelId);
@@ -476,17 +1627,245 @@ class ScheduleManager {
         return schedule;
     }
     
+    // change a schedule's time and/or message text in place
+    // keeps the id, owner, run count and pause state - deleting and recreating lost all that
+    // 
+    // a new time is read in the schedule's own timezone unless it names another one.
+    // everything's validated before anything is touched, so a typo leaves it as it was
+    async update(scheduleId, actor, { timeString, message } = {}) {
+        const schedule = this.getOwnedSchedule(scheduleId, actor, 'edit');
+        
+        if (!timeString && message === undefined) {
+            throw new ScheduleError('Nothing to change - give a new time or a new message', 'NOTHING_TO_UPDATE');
+        }
+        
+        const timeData = timeString ? this.parser.parse(timeString, schedule.timezone) : null;
+        
+        if (message !== undefined) {
+            if (message.length > DISCORD_LIMITS.content) {
+                throw new ScheduleError(
+                    `Message is ${message.length} characters, Discord's limit is ${DISCORD_LIMITS.content}`,
+                    'MESSAGE_TOO_LONG'
+                );
+            }
+            if (!message && !schedule.embed && (schedule.files || []).length === 0) {
+                throw new ScheduleError('Nothing to send - a schedule needs some text, an embed or a file', 'EMPTY_MESSAGE');
+            }
+            this.templates.validate(message);
+        }
+        
+        if (timeData) {
+            // clear the old type's fields first - a daily schedule turned into
+            // "every 2 hours" shouldn't keep a stale `time` around
+            for (const key of ['interval', 'time', 'day', 'days', 'monthDay', 'nth', 'intervalMs', 'activeHours', 'startsAt', 'endsAt', 'maxRuns']) {
+                delete schedule[key];
+            }
+            Object.assign(schedule, timeData);
+            
+            // "for 10 times" counts from now, not from when the schedule was made
+            if (timeData.maxRuns) {
+                schedule.maxRuns = (schedule.runCount || 0) + timeData.maxRuns;
+            }
+        }
+        
+        if (message !== undefined) {
+            schedule.message = message;
+        }
+        
+        await this.save();
+        
+        log.success('MANAGER', `Updated schedule #${scheduleId}`);
+        return schedule;
+    }
+    
+    // move a schedule to another channel
+    // the target's limit applies like a create, and both index Sets change together
+    // guildId is the target channel's guild - schedules stay in the guild they were made in,
+    // since guildId drives permissions, the default timezone and history
+    async move(scheduleId, actor, channelId, guildId = null) {
+        const schedule = this.getOwnedSchedule(scheduleId, actor, 'move');
+        
+        if ((schedule.guildId || null) !== (guildId || null)) {
+            throw new ScheduleError('Schedules can only be moved to channels in the same server', 'WRONG_GUILD');
+        }
+        
+        if (schedule.channelId === channelId) {
+            throw new ScheduleError(`Schedule #${scheduleId} is already in that channel`, 'SAME_CHANNEL');
+        }
+        
+        const targetSet = this.channelSchedules.get(channelId) || new Set();
+        if (targetSet.size >= config.maxSchedulesPerChannel) {
+            throw new ScheduleError(
+                `Maximum schedules (${config.maxSchedulesPerChannel}) reached for that channel`,
+                'LIMIT_REACHED'
+            );
+        }
+        
+        // IMPORTANT: move it in the index too, or list shows it in the old channel
+        const sourceSet = this.channelSchedules.get(schedule.channelId);
+        if (sourceSet) {
+            sourceSet.delete(scheduleId);
+        }
+        targetSet.add(scheduleId);
+        this.channelSchedules.set(channelId, targetSet);
+        schedule.channelId = channelId;
+        
+        await this.save();
+        
+        log.success('MANAGER', `Moved schedule #${scheduleId} to channel ${channelId}`);
+        return schedule;
+    }
+    
+    // send a schedule right now, e.g. to preview an announcement
+    // nextRun and runCount are left alone - this is an extra, not one of its runs
+    // works on paused schedules too, that's the main time you'd want a preview
+    async runNow(scheduleId, actor, client) {
+        const schedule = this.getOwnedSchedule(scheduleId, actor, 'run');
+        
+        // goes in the history, but doesn't touch the failure counter -
+        // whoever ran it sees the error straight away
+        try {
+            const channel = await client.channels.fetch(schedule.channelId);
+            await channel.send(this.renderPayload(schedule, this.getTemplateContext(schedule, channel)));
+            this.recordRun(schedule, { status: 'sent', sent: 1, manual: true });
+        } catch (error) {
+            this.recordRun(schedule, { status: 'failed', error: error.message, manual: true });
+            await this.save();
+            throw new ScheduleError(`Couldn't send schedule #${scheduleId}: ${error.message}`, 'SEND_FAILED');
+        }
+        
+        await this.save();
+        
+        log.success('MANAGER', `Ran schedule #${scheduleId} manually`);
+        return schedule;
+    }
+    
+    // pause a schedule - it stays stored (and counts toward the limit)
+    // but check() skips it until it's resumed
+    async pause(scheduleId, actor) {
+        const schedule = this.getOwnedSchedule(scheduleId, actor, 'pause');
+        
+        if (!schedule.enabled) {
+            throw new ScheduleError(`Schedule #${scheduleId} is already paused`, 'ALREADY_PAUSED');
+        }
+        
+        schedule.enabled = false;
+        schedule.pausedAt = Date.now();
+        
+        await this.save();
+        
+        log.success('MANAGER', `Paused schedule #${scheduleId}`);
+        return schedule;
+    }
+    
+    // resume a paused schedule
+    // nextRun is recomputed from the schedule's rule rather than reused,
+    // otherwise everything missed while paused would fire at once
+    async resume(scheduleId, actor) {
+        const schedule = this.getOwnedSchedule(scheduleId, actor, 'resume');
+        
+        if (schedule.enabled) {
+            throw new ScheduleError(`Schedule #${scheduleId} isn't paused`, 'NOT_PAUSED');
+        }
+        
+        this.resumeSchedule(schedule);
+        
+        await this.save();
+        
+        log.success('MANAGER', `Resumed schedule #${scheduleId}, next run ${new Date(schedule.nextRun).toISOString()}`);
+        return schedule;
+    }
+    
+    // shared by resume and resumeAll, doesn't save
+    resumeSchedule(schedule) {
+        const nextRun = this.parser.getNextRunFor(schedule);
+        
+        // a one-time schedule whose moment passed while paused has nothing to come back to
+        // refusing beats silently firing it hours late
+        if (schedule.type === 'once' && nextRun <= Date.now()) {
+            throw new ScheduleError(
+                `Schedule #${schedule.id} was due while it was paused - delete it and create a new one`,
+                'EXPIRED'
+            );
+        }
+        
+        // same for an "until" that went by while it was paused
+        if (schedule.endsAt && nextRun > schedule.endsAt) {
+            throw new ScheduleError(
+                `Schedule #${schedule.id} ended while it was paused - delete it or edit its time`,
+                'EXPIRED'
+            );
+        }
+        
+        schedule.nextRun = nextRun;
+        schedule.enabled = true;
+        schedule.failures = 0;  // a fresh start if it was auto-paused
+        delete schedule.pausedAt;
+        delete schedule.disabledReason;
+    }
+    
+    // pause every running schedule in a channel that this actor may edit
+    // (their own, or everything for moderators / edit roles)
+    // returns { paused, skipped } - skipped are other people's schedules we left alone
+    async pauseAll(channelId, actor) {
+        const paused = [];
+        let skipped = 0;
+        
+        for (const schedule of this.list(channelId)) {
+            if (!this.canModify(actor, schedule, 'edit')) {
+                skipped++;
+                continue;
+            }
+            
+            schedule.enabled = false;
+            schedule.pausedAt = Date.now();
+            paused.push(schedule);
+        }
+        
+        if (paused.length > 0) {
+            await this.save();
+            log.success('MANAGER', `Paused ${paused.length} schedules in channel ${channelId}`);
+        }
+        
+        return { paused, skipped };
+    }
+    
+    // the other half of pauseAll. expired one-time schedules stay paused
+    // and come back in `failed` so the bot can tell the user
+    async resumeAll(channelId, actor) {
+        const resumed = [];
+        const failed = [];
+        
+        for (const schedule of this.list(channelId, { includePaused: true })) {
+            if (schedule.enabled || !this.canModify(actor, schedule, 'edit')) continue;
+            
+            try {
+                this.resumeSchedule(schedule);
+                resumed.push(schedule);
+            } catch (error) {
+                failed.push(schedule);
+            }
+        }
+        
+        if (resumed.length > 0) {
+            await this.save();
+            log.success('MANAGER', `Resumed ${resumed.length} schedules in channel ${channelId}`);
+        }
+        
+        return { resumed, failed };
+    }
+    
     // list all schedules in a channel
     // uses the channelSchedules index for fast lookup
-    list(channelId) {
+    // paused ones are hidden unless includePaused is set
+    list(channelId, { includePaused = false } = {}) {
         const channelSet = this.channelSchedules.get(channelId) || new Set();
         const schedules = [];
         
         // resolve ids to full schedule objects
         for (const scheduleId of channelSet) {
             const schedule = this.schedules.get(scheduleId);
-            // only show enabled schedules (for future pause feature)
-            if (schedule && schedule.enabled) {
+            if (schedule && (schedule.enabled || includePaused)) {
                 schedules.push(schedule);
             }
         }
@@ -499,8 +1878,9 @@ class ScheduleManager {
     // the heartbeat - scans for due schedules and executes them
     // 
     // runs every 30 seconds. for each due schedule:
-    // 1. send the message
-    // 2. handle based on type:
+    // 1. work out how many runs were missed (normally just the one)
+    // 2. send as many as the misfire policy says
+    // 3. handle based on type:
     //    - once: delete it
     //    - recurring: reschedule next occurrence
     //    - interval: reschedule based on current time
@@ -508,9 +1888,40 @@ class ScheduleManager {
     // separated execution (sending message) from rescheduling logic because
     // they have different failure modes. if sending fails (channel deleted),
     // we still want to update the schedule state.
+    // 
+    // === misfires ===
+    // after downtime a schedule can be several runs behind. the old version fired
+    // once, bumped nextRun by a day - still in the past - and fired again every
+    // tick until it caught up. now the policy decides what gets sent and nextRun
+    // always lands in the future afterwards:
+    //    - skip: drop runs later than the misfire window
+    //    - fire-once: one message covers however many were missed
+    //    - fire-all: one message per missed run, up to config.maxCatchUpRuns
+    // anything late by less than the window counts as on time and just fires.
+    // this.lastMisfires gets what happened so the bot can tell people after a restart
+    // 
+    // only one check runs at a time. a big catch-up (10 sends per fire-all schedule,
+    // at discord's per-channel pace) can take longer than checkInterval, and the next
+    // tick would see the same schedules as still due and send them all again
     async check(client) {
+        if (this.checking) {
+            log.warn('MANAGER', 'Previous check is still running, skipping this one');
+            return [];
+        }
+        
+        this.checking = true;
+        try {
+            return await this.sendDue(client);
+        } finally {
+            this.checking = false;
+        }
+    }
+    
+    // the actual check - find what's due, send it, reschedule
+    async sendDue(client) {
         const now = Date.now();
         const due = [];
+        this.lastMisfires = [];
         
         // scan all schedules for ones that are due
         // Map iteration is O(n) but n is bounded and this only runs every 30s
@@ -526,46 +1937,87 @@ class ScheduleManager {
         
         // process each due schedule
         for (const schedule of due) {
+            const runs = this.getDueRuns(schedule, now);
+            const sends = this.countSends(schedule, runs, now);
+            
+            // one run inside the window is the normal case - anything else is a misfire
+            if (runs.length > 1 || (runs.length === 1 && (sends === 0 || now - runs[0] > this.getMisfireWindow(schedule)))) {
+                this.lastMisfires.push({ schedule, missed: runs.length, sent: sends });
+                log.warn('MANAGER', `Schedule #${schedule.id} missed ${runs.length} run(s), sending ${sends}`);
+            }
+            
             try {
-                // fetch the discord channel
-                // this can fail if channel was deleted
-                const channel = await client.channels.fetch(schedule.channelId);
-                
-                // process message template variables before sending
-                const processedMessage = this.processMessage(schedule.message);
-                await channel.send(processedMessage);
+                if (sends > 0) {
+                    // fetch the discord channel
+                    // this can fail if channel was deleted
+                    const channel = await client.channels.fetch(schedule.channelId);
+                    
+                    // process message template variables before sending
+                    // (renderPayload runs processMessage over the text and any embed)
+                    // rendered per send so {run_count} and {random} differ on catch-up runs
+                    for (let i = 0; i < sends; i++) {
+                        await channel.send(this.renderPayload(schedule, this.getTemplateContext(schedule, channel)));
+                        schedule.runCount = (schedule.runCount || 0) + 1;
+                    }
+                    
+                    log.success('MANAGER', `Sent scheduled message #${schedule.id}${sends > 1 ? ` x${sends}` : ''}`);
+                }
                 
-                log.success('MANAGER', `Sent scheduled message #${schedule.id}`);
+                this.recordRun(schedule, sends > 0
+                    ? { status: 'sent', sent: sends }
+                    : { status: 'skipped', missed: runs.length });
+                schedule.failures = 0;
                 
                 // handle rescheduling based on schedule type
                 // this is why having separate types is nice - clear branching logic
                 if (schedule.type === 'once') {
                     // one-time schedule - delete it from both maps
+                    // (a skipped one-time schedule is gone too - there's no next time)
                     this.schedules.delete(schedule.id);
                     const channelSet = this.channelSchedules.get(schedule.channelId);
                     if (channelSet) channelSet.delete(schedule.id);
                     
                 } else if (schedule.type === 'recurring') {
-                    // recurring - calculate next occurrence
-                    // just add the interval to current nextRun
-                    if (schedule.interval === 'daily') {
-                        schedule.nextRun += 86400000;  // 24 hours in ms
-                    } else if (schedule.interval === 'weekly') {
-                        schedule.nextRun += 604800000;  // 7 days in ms
-                    }
+                    // recurring - next occurrence after NOW, not after the run that fired
+                    // otherwise a schedule that's days behind stays in the past
+                    schedule.nextRun = this.parser.getNextRunFor(schedule, now);
                     
                 } else if (schedule.type === 'interval') {
                     // interval-based - reschedule from current time, not original nextRun
                     // this prevents drift accumulation if we're running late
-                    schedule.nextRun = now + schedule.intervalMs;
+                    // (and then into its active hours, if it has any)
+                    schedule.nextRun = this.parser.fitToActiveHours(schedule, now + schedule.intervalMs);
+                }
+                
+                // end conditions - "for 10 times" ran out, or the next run is past "until".
+                // a finished schedule goes the same way as a one-time one
+                if (schedule.type !== 'once' && this.isFinished(schedule)) {
+                    this.schedules.delete(schedule.id);
+                    const channelSet = this.channelSchedules.get(schedule.channelId);
+                    if (channelSet) channelSet.delete(schedule.id);
+                    log.success('MANAGER', `Schedule #${schedule.id} reached its end condition, removed`);
                 }
                 
             } catch (error) {
                 log.error('MANAGER', `Failed to send schedule #${schedule.id}: ${error.message}`);
                 
-                // channel might be deleted or bot kicked from server
-                // should probably delete the schedule but leaving it for now
-                // in case it's a temporary permission issue
+                // channel might be deleted or bot kicked from server, or it could just be
+                // a discord hiccup. so: retry with a growing delay, and after enough
+                // failures in a row pause it and tell whoever made it. used to retry
+                // every 30s forever without anyone ever finding out
+                schedule.failures = (schedule.failures || 0) + 1;
+                this.recordRun(schedule, { status: 'failed', error: error.message });
+                
+                if (schedule.failures >= config.maxConsecutiveFailures) {
+                    schedule.enabled = false;
+                    schedule.pausedAt = now;
+                    schedule.disabledReason = 'failures';
+                    log.warn('MANAGER', `Schedule #${schedule.id} failed ${schedule.failures} times in a row, pausing it`);
+                    
+                    await this.notifyCreator(client, schedule, error);
+                } else {
+                    schedule.nextRun = now + config.retryDelay * schedule.failures;
+                }
             }
         }
         
@@ -574,22 +2026,132 @@ class ScheduleManager {
         return due;
     }
     
+    // add an entry to a schedule's run log, dropping the oldest past historySize
+    // entry: { status: 'sent' | 'skipped' | 'failed', sent?, missed?, error?, manual? }
+    recordRun(schedule, entry) {
+        const history = schedule.history || [];
+        history.push({ at: Date.now(), ...entry });
+        schedule.history = history.slice(-config.historySize);
+    }
+    
+    // DM the creator when their schedule gets auto-paused
+    // closed DMs are common, so a failure here is just logged
+    async notifyCreator(client, schedule, error) {
+        try {
+            const user = await client.users.fetch(schedule.createdBy);
+            await user.send(
+                `⚠️ Your scheduled message **#${schedule.id}** in <#${schedule.channelId}> failed ` +
+                `${schedule.failures} times in a row, so I've paused it.\n` +
+                `Last error: \`${error.message}\`\n` +
+                `Once that's fixed, \`!schedule resume ${schedule.id}\` turns it back on. ` +
+                `\`!schedule history ${schedule.id}\` shows what happened.`
+            );
+        } catch (dmError) {
+            log.warn('MANAGER', `Couldn't DM ${schedule.createdBy} about schedule #${schedule.id}: ${dmError.message}`);
+        }
+    }
+    
+    // every run that came due between the schedule's nextRun and now, oldest first
+    // walks the rule so DST and weekly gaps are counted properly.
+    // stops at 1000 - past that the exact number doesn't matter to anyone.
+    // also stops if the rule doesn't move forward (a 0ms interval saved before
+    // the parser rejected it), or that one run would count 1000 times
+    getDueRuns(schedule, now) {
+        const runs = [];
+        let run = schedule.nextRun;
+        
+        // runs past an "until" don't count - they were never going to happen
+        while (run <= now && (!schedule.endsAt || run <= schedule.endsAt) && runs.length < 1000) {
+            runs.push(run);
+            if (schedule.type === 'once') break;
+            
+            const next = this.parser.getNextRunFor(schedule, run);
+            if (next <= run) break;
+            run = next;
+        }
+        
+        return runs;
+    }
+    
+    // how many messages to actually send for these due runs
+    // never more than a "for N times" schedule has left
+    countSends(schedule, runs, now) {
+        if (runs.length === 0) return 0;
+        
+        const policy = schedule.misfirePolicy || config.misfirePolicy;
+        const remaining = schedule.maxRuns ? schedule.maxRuns - (schedule.runCount || 0) : Infinity;
+        
+        if (policy === 'fire-all') {
+            return Math.min(runs.length, config.maxCatchUpRuns, remaining);
+        }
+        
+        // the newest run being inside the window means we're basically on time,
+        // so even 'skip' sends that one
+        const latestOnTime = now - runs[runs.length - 1] <= this.getMisfireWindow(schedule);
+        if (policy === 'fire-once' || latestOnTime) {
+            return Math.min(1, remaining);
+        }
+        
+        return 0;  // skip, and everything was too late
+    }
+    
+    // has a schedule used up its end condition?
+    // checked after rescheduling, so "next run is past until" means there isn't one
+    isFinished(schedule) {
+        if (schedule.maxRuns && (schedule.runCount || 0) >= schedule.maxRuns) return true;
+        if (schedule.endsAt && schedule.nextRun > schedule.endsAt) return true;
+        return false;
+    }
+    
+    // per-schedule window with the config default as fallback
+    // ?? not || because a window of 0 ("never late-fire anything") is valid
+    getMisfireWindow(schedule) {
+        return schedule.misfireWindow ?? config.misfireWindow;
+    }
+    
+    // change what happens to runs a schedule misses while the bot is down
+    // windowMs is optional - leaving it out keeps whatever the schedule had
+    async setMisfirePolicy(scheduleId, actor, policy, windowMs) {
+        const schedule = this.getOwnedSchedule(scheduleId, actor, 'change');
+        
+        if (!['skip', 'fire-once', 'fire-all'].includes(policy)) {
+            throw new ScheduleError('Misfire policy must be skip, fire-once or fire-all', 'INVALID_POLICY');
+        }
+        
+        schedule.misfirePolicy = policy;
+        if (windowMs !== undefined) {
+            schedule.misfireWindow = windowMs;
+        }
+        
+        await this.save();
+        
+        log.success('MANAGER', `Schedule #${scheduleId} misfire policy: ${policy}, window ${this.getMisfireWindow(schedule)}ms`);
+        return schedule;
+    }
+    
     // process template variables in message text
     // 
     // added this because people wanted dynamic content in scheduled messages
     // like "Today is {day}" or "Report for {date}"
     // 
-    // kept it simple with just three variables. could add more but these
-    // cover 90% of use cases. for complex templating they can use a webhook.
-    processMessage(template) {
-        const now = new Date();
+    // the actual work is in TemplateEngine now - this just supplies the timezone.
+    // doing it at send-time instead of schedule-time so the date is accurate
+    // and in the schedule's timezone, not wherever the bot happens to be hosted
+    processMessage(template, timezone = config.timezone, context = {}) {
+        return this.templates.render(template, { ...context, timezone });
+    }
+    
+    // the bits of discord state templates can use ({channel}, {server}, ...)
+    // takes the fetched channel so check() doesn't need a second lookup
+    getTemplateContext(schedule, channel) {
+        const guild = channel && channel.guild;
         
-        // replace template variables with current values
-        // doing it at send-time instead of schedule-time so the date is accurate
-        return template
-            .replace('{date}', now.toLocaleDateString())
-            .replace('{time}', now.toLocaleTimeString())
-            .replace('{day}', now.toLocaleDateString('en-US', { weekday: 'long' }));
+        return {
+            runCount: (schedule.runCount || 0) + 1,  // counting the run that's about to go out
+            channelName: channel && channel.name,
+            serverName: guild ? guild.name : undefined,
+            memberCount: guild ? guild.memberCount : undefined
+        };
     }
     
     // start the polling loop
@@ -626,6 +2188,10 @@ class ScheduleManager {
                 channelSchedules: Array.from(this.channelSchedules.entries()).map(([channelId, set]) => ({
                     channelId,
                     scheduleIds: Array.from(set)
+                })),
+                guildSettings: Array.from(this.guildSettings.entries()).map(([guildId, settings]) => ({
+                    guildId,
+                    ...settings
                 }))
             };
             
@@ -653,6 +2219,11 @@ class ScheduleManager {
             // rebuild the primary map
             this.schedules.clear();
             for (const schedule of data.schedules || []) {
+                // schedules from before timezones existed were computed on the host clock.
+                // config.timezone is the best guess at what the host was set to
+                if (!schedule.timezone) {
+                    schedule.timezone = config.timezone;
+                }
                 this.schedules.set(schedule.id, schedule);
             }
             
@@ -663,6 +2234,11 @@ class ScheduleManager {
                 this.channelSchedules.set(channelId, new Set(scheduleIds));
             }
             
+            this.guildSettings.clear();
+            for (const { guildId, ...settings } of data.guildSettings || []) {
+                this.guildSettings.set(guildId, settings);
+            }
+            
             log.success('STORAGE', `Loaded ${this.schedules.size} schedules`);
             
         } catch (error) {
@@ -715,12 +2291,21 @@ class ScheduleBot {
             // load any schedules from last session
             await this.manager.load();
             
+            // immediate check in case we have overdue schedules from downtime
+            // if bot was offline for an hour, there might be missed schedules.
+            // before the loop starts, so its first tick can't race the catch-up
+            try {
+                await this.manager.check(this.client);
+            } catch (error) {
+                log.error('MANAGER', `Startup check failed: ${error.message}`);
+            }
+            const misfires = this.manager.lastMisfires;
+            
             // start the polling loop
             this.manager.startChecking(this.client);
             
-            // immediate check in case we have overdue schedules from downtime
-            // if bot was offline for an hour, there might be missed schedules
-            await this.manager.check(this.client);
+            // let each channel know what got caught up or skipped while we were gone
+            await this.postMisfireSummary(misfires);
         });
         
         // command handler - filter for our prefix and dispatch
@@ -738,8 +2323,14 @@ class ScheduleBot {
         
         try {
             // LIST command - show all schedules in this channel
-            if (args.toLowerCase() === 'list') {
-                const schedules = this.manager.list(message.channel.id);
+            // "list all" includes paused ones too
+            const listMatch = args.match(/^list(\s+all)?$/i);
+            if (listMatch) {
+                const includePaused = Boolean(listMatch[1]);
+                const schedules = this.manager.list(message.channel.id, { includePaused });
+                // paused ones still count toward the limit, so the footer uses the full count
+                const total = this.manager.list(message.channel.id, { includePaused: true }).length;
+                const hidden = total - schedules.length;
                 
                 // format as embed for clean display
                 const embed = new EmbedBuilder()
@@ -749,21 +2340,333 @@ class ScheduleBot {
                         schedules.length === 0
                             ? 'No scheduled messages in this channel'
                             : schedules.map(s => {
-                                const time = new Date(s.nextRun).toLocaleString();
+                                // a paused schedule's nextRun is stale, so don't show it
+                                const time = s.enabled
+                                    ? this.formatTime(s.nextRun, s.timezone)
+                                    : `paused since ${this.formatTime(s.pausedAt, s.timezone)}`;
                                 // icon based on schedule type for visual clarity
                                 const type = s.type === 'once' ? '⏰' : (s.type === 'recurring' ? '🔄' : '⏱️');
+                                // ⚠️ = paused by the bot after repeated failures
+                                const paused = s.enabled ? '' : (s.disabledReason === 'failures' ? ' ⚠️' : ' ⏸️');
                                 // truncate long messages so embed doesn't get huge
-                                const msg = s.message.substring(0, 50);
-                                const truncated = s.message.length > 50 ? '...' : '';
-                                return `**#${s.id}** ${type} ${time}\n> ${msg}${truncated}`;
+                                const text = this.summarize(s);
+                                const msg = text.substring(0, 50);
+                                const truncated = text.length > 50 ? '...' : '';
+                                const active = this.describeActiveHours(s);
+                                const ends = this.describeEnd(s);
+                                return `**#${s.id}**${paused} ${type} ${time}${active ? `\n🕘 ${active}` : ''}${ends ? `\n🏁 ${ends}` : ''}\n> ${msg}${truncated}`;
                             }).join('\n\n')
                     )
-                    .setFooter({ text: `Total: ${schedules.length}/${config.maxSchedulesPerChannel}` });
+                    .setFooter({
+                        text: `Total: ${total}/${config.maxSchedulesPerChannel}` +
+                            (hidden > 0 ? ` • ${hidden} paused hidden, use !schedule list all` : '')
+                    });
+                
+                await message.reply({ embeds: [embed] });
+                return;
+            }
+            
+            // TIMEZONE - "!schedule timezone" shows the server default,
+            // "!schedule timezone Europe/Berlin" changes it (Manage Server only, it's server-wide)
+            if (/^timezone(\s|$)/i.test(args)) {
+                const zone = args.slice(8).trim();
+                const guildId = message.guild ? message.guild.id : null;
+                
+                if (!zone) {
+                    const current = this.manager.getTimezone(guildId);
+                    await message.reply(
+                        `🌍 Schedules here default to **${current}** (it's ${this.formatTime(Date.now(), current)})\n` +
+                        'Add a zone to a single schedule with e.g. `!schedule daily 9am Europe/London | ...`'
+                    );
+                    return;
+                }
+                
+                if (!guildId) {
+                    await message.reply('❌ Server timezones can only be set in a server');
+                    return;
+                }
+                
+                if (!this.getActor(message).isModerator) {
+                    await message.reply('🔒 You need the Manage Server permission to change the server timezone');
+                    return;
+                }
+                
+                const timezone = await this.manager.setTimezone(guildId, zone);
+                await message.reply(`🌍 New schedules in this server will use **${timezone}** - existing ones keep their timezone`);
+                return;
+            }
+            
+            // ROLES - who can create / edit any / delete any schedule in this server
+            // "!schedule roles" shows it, "!schedule roles delete add @Mods" changes it
+            if (/^roles(\s|$)/i.test(args)) {
+                if (!message.guild) {
+                    await message.reply('❌ Roles only exist in servers');
+                    return;
+                }
+                
+                const rolesMatch = args.match(/^roles\s+(create|edit|delete)\s+(add|remove)\s+(?:<@&)?(\d+)>?$/i);
+                
+                if (args.trim().toLowerCase() !== 'roles' && !rolesMatch) {
+                    await message.reply('❌ Format: `!schedule roles <create|edit|delete> <add|remove> @role`');
+                    return;
+                }
+                
+                if (rolesMatch) {
+                    if (!this.getActor(message).isModerator) {
+                        await message.reply('🔒 You need the Manage Server permission to change schedule roles');
+                        return;
+                    }
+                    
+                    const [, permission, change, roleId] = rolesMatch;
+                    await this.manager.setPermissionRole(message.guild.id, permission.toLowerCase(), roleId, change.toLowerCase() === 'add');
+                }
+                
+                const roles = this.manager.getPermissionRoles(message.guild.id);
+                const show = (list, empty) => list.length === 0 ? empty : list.map(id => `<@&${id}>`).join(', ');
+                
+                const embed = new EmbedBuilder()
+                    .setColor(0x5865F2)
+                    .setTitle('🔐 Schedule Permissions')
+                    .addFields(
+                        { name: 'Create schedules', value: show(roles.create, 'Everyone') },
+                        { name: 'Edit any schedule', value: show(roles.edit, 'Nobody (owners only)') },
+                        { name: 'Delete any schedule', value: show(roles.delete, 'Nobody (owners only)') }
+                    )
+                    .setFooter({ text: 'Members with Manage Server can always do everything' });
+                
+                await message.reply({ embeds: [embed], allowedMentions: { parse: [] } });
+                return;
+            }
+            
+            // MISFIRE - "!schedule misfire 3 skip" or "!schedule misfire 3 fire-all 2h"
+            // what happens to runs missed while the bot was offline
+            if (/^misfire(\s|$)/i.test(args)) {
+                const misfireMatch = args.match(/^misfire\s+(\d+)\s+(skip|fire-once|fire-all)(?:\s+(\d+)\s*(m|min|minutes?|h|hours?))?$/i);
+                if (!misfireMatch) {
+                    await message.reply(
+                        '❌ Format: `!schedule misfire <id> <skip|fire-once|fire-all> [window]`\n' +
+                        'Window is how late a run can be and still count as on time, e.g. `30m` or `2h`'
+                    );
+                    return;
+                }
+                
+                const [, id, policy, amount, unit] = misfireMatch;
+                const windowMs = amount
+                    ? parseInt(amount) * (unit.toLowerCase().startsWith('h') ? 3600000 : 60000)
+                    : undefined;
+                
+                const schedule = await this.manager.setMisfirePolicy(
+                    parseInt(id),
+                    this.getActor(message),
+                    policy.toLowerCase(),
+                    windowMs
+                );
+                
+                const window = Math.round(this.manager.getMisfireWindow(schedule) / 60000);
+                await message.reply(`✅ Schedule #${schedule.id} will **${schedule.misfirePolicy}** runs that are more than ${window} min late`);
+                return;
+            }
+            
+            // EMBED - "!schedule embed <time> | { ...json spec... }"
+            // the spec can be wrapped in a ```json code block, discord makes that easier to type
+            if (/^embed(\s|$)/i.test(args)) {
+                const pipe = args.indexOf('|');  // first pipe only, the JSON can have its own
+                if (pipe === -1) {
+                    await message.reply(
+                        '❌ Format: `!schedule embed <time> | <json>`\n' +
+                        'Example:\n' +
+                        '```\n!schedule embed weekdays 9am | {"title": "Standup", "description": "Happy {day}!", ' +
+                        '"color": "#5865F2", "fields": [{"name": "Where", "value": "Voice 1"}], "ping": "<@&ROLE_ID>"}\n```\n' +
+                        'Keys: content, title, description, color, url, fields, image, thumbnail, footer, author, ping, files'
+                    );
+                    return;
+                }
+                
+                const timeString = args.slice(5, pipe).trim();
+                const json = args.slice(pipe + 1).trim()
+                    .replace(/^```(?:json)?\s*/i, '')
+                    .replace(/\s*```$/, '');
+                
+                let spec;
+                try {
+                    spec = JSON.parse(json);
+                } catch (error) {
+                    throw new ScheduleError(`That embed isn't valid JSON: ${error.message}`, 'INVALID_EMBED');
+                }
+                
+                // the bot would be the one pinging, so make sure the person asking could ping too
+                if (spec && spec.ping && message.member &&
+                    !message.member.permissionsIn(message.channel).has(PermissionFlagsBits.MentionEveryone)) {
+                    await message.reply('❌ You need the Mention Everyone permission to schedule role pings');
+                    return;
+                }
+                
+                const schedule = await this.manager.create(
+                    message.channel.id,
+                    spec && typeof spec.content === 'string' ? spec.content : '',
+                    timeString,
+                    message.author.id,
+                    { guildId: message.guild ? message.guild.id : null, payload: spec, actor: this.getActor(message) }
+                );
+                
+                await message.reply({ embeds: [this.buildCreatedEmbed(schedule)] });
+                
+                // show what it'll look like. separate message because discord's 6000
+                // character limit counts across every embed in a message
+                // the text goes in too - with no embed it's the whole message
+                const preview = this.manager.renderPayload(schedule, this.manager.getTemplateContext(schedule, message.channel));
+                await message.channel.send({
+                    content: (preview.content ? `👀 Preview:\n${preview.content}` : '👀 Preview:').slice(0, DISCORD_LIMITS.content),
+                    embeds: preview.embeds,
+                    allowedMentions: { parse: [] }  // don't actually ping anyone for a preview
+                });
+                return;
+            }
+            
+            // PAUSE-ALL / RESUME-ALL - every schedule you own in this channel
+            // checked before pause/resume so "pause-all" doesn't get read as an id
+            if (args.toLowerCase() === 'pause-all') {
+                const { paused, skipped } = await this.manager.pauseAll(message.channel.id, this.getActor(message));
+                
+                const note = skipped > 0 ? ` (${skipped} owned by others left running)` : '';
+                await message.reply(paused.length === 0
+                    ? `ℹ️ You have no running schedules in this channel${note}`
+                    : `⏸️ Paused ${paused.length} schedule${paused.length === 1 ? '' : 's'}${note}`);
+                return;
+            }
+            
+            if (args.toLowerCase() === 'resume-all') {
+                const { resumed, failed } = await this.manager.resumeAll(message.channel.id, this.getActor(message));
+                
+                const note = failed.length > 0
+                    ? `\n⚠️ Still paused (their time passed): ${failed.map(s => `#${s.id}`).join(', ')}`
+                    : '';
+                await message.reply((resumed.length === 0
+                    ? 'ℹ️ Nothing to resume'
+                    : `▶️ Resumed ${resumed.length} schedule${resumed.length === 1 ? '' : 's'}`) + note);
+                return;
+            }
+            
+            // EDIT - "!schedule edit 3 time weekdays 10am" / "!schedule edit 3 message New text"
+            // one field at a time keeps it unambiguous - no pipe needed
+            if (/^edit(\s|$)/i.test(args)) {
+                const editMatch = args.match(/^edit\s+#?(\d+)\s+(time|message)\s+([\s\S]+)$/i);
+                if (!editMatch) {
+                    await message.reply('❌ Format: `!schedule edit <id> time <when>` or `!schedule edit <id> message <text>`');
+                    return;
+                }
+                
+                const [, id, field, value] = editMatch;
+                const isTime = field.toLowerCase() === 'time';
+                
+                const schedule = await this.manager.update(parseInt(id), this.getActor(message), {
+                    timeString: isTime ? value.trim() : undefined,
+                    message: isTime ? undefined : value.trim()
+                });
+                
+                await message.reply({ embeds: [this.buildCreatedEmbed(schedule, '✏️ Schedule Updated')] });
+                return;
+            }
+            
+            // MOVE - "!schedule move 3 #announcements"
+            if (/^move(\s|$)/i.test(args)) {
+                const moveMatch = args.match(/^move\s+#?(\d+)\s+<#(\d+)>$/i);
+                if (!moveMatch) {
+                    await message.reply('❌ Format: `!schedule move <id> #channel`');
+                    return;
+                }
+                
+                const [, id, channelId] = moveMatch;
+                
+                // only channels in this server that we can actually post in
+                const target = message.guild && message.guild.channels.cache.get(channelId);
+                if (!target || !target.isTextBased()) {
+                    await message.reply('❌ That channel isn\'t a text channel in this server');
+                    return;
+                }
+                
+                // and that the mover could post in themselves - otherwise move is a way
+                // to get messages into channels they're locked out of
+                const memberPermissions = target.permissionsFor(message.member);
+                if (!memberPermissions ||
+                    !memberPermissions.has([PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages])) {
+                    await message.reply('❌ You can only move schedules to channels you can send messages in');
+                    return;
+                }
+                
+                const schedule = await this.manager.move(parseInt(id), this.getActor(message), channelId, target.guild.id);
+                await message.reply(`📦 Moved schedule #${schedule.id} to <#${channelId}>`);
+                return;
+            }
+            
+            // HISTORY - "!schedule history 3" shows the last few runs
+            const historyMatch = args.match(/^history\s+#?(\d+)$/i);
+            if (historyMatch) {
+                const schedule = this.manager.schedules.get(parseInt(historyMatch[1]));
+                
+                // schedules from other servers don't exist as far as this one's concerned
+                if (!schedule || (schedule.guildId || null) !== (message.guild ? message.guild.id : null)) {
+                    await message.reply('❌ Schedule not found');
+                    return;
+                }
+                
+                const icons = { sent: '✅', skipped: '⏭️', failed: '❌' };
+                const history = schedule.history || [];
+                const lines = history.slice().reverse().map(entry => {
+                    const when = this.formatTime(entry.at, schedule.timezone);
+                    const detail = entry.status === 'failed' ? `failed: ${entry.error}`
+                        : entry.status === 'skipped' ? `skipped ${entry.missed} missed run(s)`
+                        : `sent${entry.sent > 1 ? ` x${entry.sent}` : ''}`;
+                    return `${icons[entry.status]} ${when} - ${detail}${entry.manual ? ' (manual)' : ''}`;
+                });
+                
+                const embed = new EmbedBuilder()
+                    .setColor(schedule.disabledReason === 'failures' ? 0xED4245 : 0x5865F2)
+                    .setTitle(`📜 History for #${schedule.id}`)
+                    .setDescription(lines.length === 0 ? 'Hasn\'t run yet' : lines.join('\n').substring(0, 4096))
+                    .setFooter({
+                        text: `Failures in a row: ${schedule.failures || 0}/${config.maxConsecutiveFailures}` +
+                            ` • Total runs: ${schedule.runCount || 0}` +
+                            (schedule.disabledReason === 'failures' ? ' • Paused after failing, resume to retry' : '')
+                    });
                 
                 await message.reply({ embeds: [embed] });
                 return;
             }
             
+            // RUN - "!schedule run 3" sends it now without touching the schedule
+            const runMatch = args.match(/^run\s+#?(\d+)$/i);
+            if (runMatch) {
+                const schedule = await this.manager.runNow(parseInt(runMatch[1]), this.getActor(message), this.client);
+                
+                // no reply if it went to this channel - the message itself is the answer
+                if (schedule.channelId !== message.channel.id) {
+                    await message.reply(`▶️ Sent schedule #${schedule.id} to <#${schedule.channelId}> (next run unchanged)`);
+                }
+                return;
+            }
+            
+            // PAUSE / RESUME - "!schedule pause 3"
+            const pauseMatch = args.match(/^(pause|resume)\s+(\S+)$/i);
+            if (pauseMatch) {
+                const id = parseInt(pauseMatch[2]);
+                
+                if (isNaN(id)) {
+                    await message.reply('❌ Please provide a valid schedule ID');
+                    return;
+                }
+                
+                if (pauseMatch[1].toLowerCase() === 'pause') {
+                    const schedule = await this.manager.pause(id, this.getActor(message));
+                    await message.reply(`⏸️ Paused schedule #${schedule.id} - use \`!schedule resume ${schedule.id}\` to turn it back on`);
+                } else {
+                    // manager recomputes nextRun so nothing missed while paused fires
+                    const schedule = await this.manager.resume(id, this.getActor(message));
+                    await message.reply(`▶️ Resumed schedule #${schedule.id}, next run ${this.formatTime(schedule.nextRun, schedule.timezone)}`);
+                }
+                return;
+            }
+            
             // DELETE command - remove a schedule by id
             if (args.toLowerCase().startsWith('delete ')) {
                 const id = parseInt(args.split(' ')[1]);
@@ -773,8 +2676,8 @@ class ScheduleBot {
                     return;
                 }
                 
-                // manager.delete handles ownership validation
-                const schedule = await this.manager.delete(id, message.author.id);
+                // manager.delete handles ownership + role validation
+                const schedule = await this.manager.delete(id, this.getActor(message));
                 
                 await message.reply(`✅ Deleted schedule #${schedule.id}`);
                 return;
@@ -783,8 +2686,11 @@ class ScheduleBot {
             // CREATE schedule - format: !schedule <time> | <message>
             // pipe separator makes parsing unambiguous
             // tried comma first but "meet at 3pm, room 5" broke it
-            const parts = args.split('|');
-            if (parts.length !== 2) {
+            // only the FIRST pipe counts - times never have one, messages can ({random:a|b})
+            const pipe = args.indexOf('|');
+            const timeString = pipe === -1 ? '' : args.slice(0, pipe).trim();
+            const messageText = pipe === -1 ? '' : args.slice(pipe + 1).trim();
+            if (!timeString || !messageText) {
                 // show help with examples
                 await message.reply(
                     '❌ Format: `!schedule <time> | <message>`\n\n' +
@@ -792,46 +2698,177 @@ class ScheduleBot {
                     '• `!schedule daily 9am | Good morning!`\n' +
                     '• `!schedule tomorrow 3pm | Meeting reminder`\n' +
                     '• `!schedule every 2 hours | Take a break!`\n' +
-                    '• `!schedule weekly monday 10am | Weekly report`\n\n' +
-                    'Template variables: {date}, {time}, {day}'
+                    '• `!schedule weekly monday 10am | Weekly report`\n' +
+                    '• `!schedule weekdays 9am | Standup time`\n' +
+                    '• `!schedule mon,wed,fri 3pm | Office hours`\n' +
+                    '• `!schedule monthly last friday 4pm | Demo day`\n' +
+                    '• `!schedule daily 9am for 10 times | Countdown`\n' +
+                    '• `!schedule every 2 hours until friday 6pm | Sale ends soon`\n' +
+                    '• `!schedule every 30 minutes between 9am and 5pm on weekdays | Stretch!`\n\n' +
+                    'Timezone: add one to the time (`daily 9am Europe/London`) or set a server default with `!schedule timezone <zone>`\n' +
+                    'Manage: `list [all]`, `delete <id>`, `pause <id>`, `resume <id>`, `pause-all`, `resume-all`, `run <id>`, `history <id>`\n' +
+                    'Change: `edit <id> time <when>`, `edit <id> message <text>`, `move <id> #channel`\n' +
+                    'Missed runs: `!schedule misfire <id> <skip|fire-once|fire-all> [window]`\n' +
+                    'Permissions: `!schedule roles` (Manage Server to change)\n' +
+                    'Rich messages: `!schedule embed <time> | <json>` (run it without json for an example)\n' +
+                    'Template variables: {date}, {time}, {day}, {date:YYYY-MM-DD}, {countdown:2026-12-25}, ' +
+                    '{run_count}, {channel}, {server}, {member_count}, {random:a|b|c} - {{ and }} for literal braces'
                 );
                 return;
             }
             
-            const timeString = parts[0].trim();
-            const messageText = parts[1].trim();
-            
             // delegate to manager - parsing, storage, everything happens there
             const schedule = await this.manager.create(
                 message.channel.id,
                 messageText,
                 timeString,
-                message.author.id
+                message.author.id,
+                {
+                    guildId: message.guild ? message.guild.id : null,  // for the guild's default timezone
+                    actor: this.getActor(message)  // for the create-role check
+                }
             );
             
-            // figure out human-readable type label
-            const typeLabel = schedule.type === 'once' ? 'One-time' : 
-                              schedule.type === 'recurring' ? 'Recurring' : 'Interval';
-            
-            // confirmation embed with all the details
-            const embed = new EmbedBuilder()
-                .setColor(0x57F287)  // green
-                .setTitle('✅ Schedule Created')
-                .addFields(
-                    { name: 'Type', value: typeLabel, inline: true },
-                    { name: 'Next Run', value: new Date(schedule.nextRun).toLocaleString(), inline: true },
-                    { name: 'Message', value: messageText }
-                )
-                .setFooter({ text: `Schedule #${schedule.id}` });
-            
-            await message.reply({ embeds: [embed] });
+            await message.reply({ embeds: [this.buildCreatedEmbed(schedule)] });
             
         } catch (error) {
             log.error('COMMAND', error.message);
             
             // user-friendly error display
-            await message.reply(`❌ Error: ${error.message}`);
+            // permission problems get a lock so they don't read like a bug
+            await message.reply(error.code === 'MISSING_PERMISSION'
+                ? `🔒 ${error.message}`
+                : `❌ Error: ${error.message}`);
+        }
+    }
+    
+    // who's running the command, in the shape the manager's permission checks want
+    // DMs have no member, so no roles and no moderator override, and no guild
+    getActor(message) {
+        const member = message.member;
+        
+        return {
+            userId: message.author.id,
+            roles: member ? Array.from(member.roles.cache.keys()) : [],
+            isModerator: Boolean(member && member.permissions.has(PermissionFlagsBits.ManageGuild)),
+            guildId: message.guild ? message.guild.id : null
+        };
+    }
+    
+    // confirmation embed with all the details of a new schedule
+    // also used for edits, with a different title
+    buildCreatedEmbed(schedule, title = '✅ Schedule Created') {
+        // figure out human-readable type label
+        const typeLabel = schedule.type === 'once' ? 'One-time' : 
+                          schedule.type === 'recurring' ? 'Recurring' : 'Interval';
+        
+        const embed = new EmbedBuilder()
+            .setColor(0x57F287)  // green
+            .setTitle(title)
+            .addFields(
+                { name: 'Type', value: typeLabel, inline: true },
+                { name: 'Next Run', value: this.formatTime(schedule.nextRun, schedule.timezone), inline: true },
+                { name: 'Message', value: this.summarize(schedule).substring(0, 1024) }
+            )
+            .setFooter({ text: `Schedule #${schedule.id}` });
+        
+        const active = this.describeActiveHours(schedule);
+        if (active) {
+            embed.addFields({ name: 'Active', value: active });
+        }
+        
+        const ends = this.describeEnd(schedule);
+        if (ends) {
+            embed.addFields({ name: 'Ends', value: ends });
+        }
+        
+        return embed;
+    }
+    
+    // "9:00 AM-5:00 PM on weekdays" - empty for schedules without active hours
+    describeActiveHours(schedule) {
+        const activeHours = schedule.activeHours;
+        if (!activeHours) return '';
+        
+        const clock = ({ hour, minute }) => {
+            const h = hour % 12 || 12;
+            return `${h}:${String(minute).padStart(2, '0')} ${hour < 12 ? 'AM' : 'PM'}`;
+        };
+        
+        const parts = [];
+        if (activeHours.start) {
+            parts.push(`${clock(activeHours.start)}-${clock(activeHours.end)}`);
+        }
+        if (activeHours.days) {
+            const days = activeHours.days.join(',');
+            parts.push(days === DAY_NAMES.slice(1, 6).join(',') ? 'weekdays'
+                : days === 'saturday,sunday' ? 'weekends'
+                : activeHours.days.map(d => d.slice(0, 3)).join(', '));
+        }
+        
+        return parts.join(' on ');
+    }
+    
+    // "3 runs left, until <date>" - empty for schedules that run forever
+    describeEnd(schedule) {
+        const parts = [];
+        
+        if (schedule.maxRuns) {
+            const left = schedule.maxRuns - (schedule.runCount || 0);
+            parts.push(`${left} run${left === 1 ? '' : 's'} left`);
+        }
+        if (schedule.startsAt && schedule.startsAt > Date.now()) {
+            parts.push(`starts ${this.formatTime(schedule.startsAt, schedule.timezone)}`);
         }
+        if (schedule.endsAt) {
+            parts.push(`until ${this.formatTime(schedule.endsAt, schedule.timezone)}`);
+        }
+        
+        return parts.join(', ');
+    }
+    
+    // one-line description of what a schedule sends, for list + confirmations
+    // embed-only schedules have no message text, so fall back to the embed's title
+    summarize(schedule) {
+        if (!schedule.embed) {
+            return schedule.message || `📎 ${(schedule.files || []).length} file(s)`;
+        }
+        return `📰 ${schedule.embed.title || schedule.embed.description || 'embed'}` +
+            (schedule.message ? ` - ${schedule.message}` : '');
+    }
+    
+    // after a restart - one short message per channel listing what was missed
+    // only runs on startup. a misfire during normal running means the check loop
+    // stalled, which is worth a log line but not a message to everyone
+    async postMisfireSummary(misfires) {
+        const byChannel = new Map();
+        for (const misfire of misfires) {
+            const list = byChannel.get(misfire.schedule.channelId) || [];
+            list.push(misfire);
+            byChannel.set(misfire.schedule.channelId, list);
+        }
+        
+        for (const [channelId, list] of byChannel) {
+            const lines = list.map(({ schedule, missed, sent }) => {
+                const runs = `${missed} run${missed === 1 ? '' : 's'}`;
+                const outcome = sent === 0 ? 'skipped' : (sent === missed ? 'sent late' : `sent ${sent}, skipped ${missed - sent}`);
+                return `• **#${schedule.id}** missed ${runs} - ${outcome}`;
+            });
+            
+            try {
+                const channel = await this.client.channels.fetch(channelId);
+                await channel.send(`⏰ I was offline for a while. Catch-up for this channel:\n${lines.join('\n')}`);
+            } catch (error) {
+                // same channel that failed in check() most likely, nothing more to do
+                log.error('BOT', `Failed to post misfire summary to ${channelId}: ${error.message}`);
+            }
+        }
+    }
+    
+    // timestamp → "10/20/2026, 9:00:00 AM (Europe/London)"
+    // always shown in the schedule's own timezone so "daily 9am" reads as 9am
+    formatTime(timestamp, timezone = config.timezone) {
+        return `${new Date(timestamp).toLocaleString('en-US', { timeZone: timezone })} (${timezone})`;
     }
     
     // connect to discord and go live